@@ -0,0 +1,52 @@
+// Models/Firebase/FirestoreAggregationModel.cs - SERVER-SIDE COUNT/SUM/AVERAGE
+using System.Text.Json.Serialization;
+
+namespace SubashaVentures.Models.Firebase;
+
+/// <summary>
+/// One aggregation computed by Firestore without downloading the documents.
+/// Requests map a result name to an aggregation (at most 5 per request).
+/// </summary>
+/// <example>
+/// var result = await firestore.AggregateCollectionGroupAsync("conversations", null,
+///     new Dictionary&lt;string, FirestoreAggregation&gt;
+///     {
+///         ["conversations"] = FirestoreAggregation.Count(),
+///         ["unread"] = FirestoreAggregation.Sum("unread_count")
+///     });
+/// var unread = result.GetValue("unread");
+/// </example>
+public class FirestoreAggregation
+{
+    [JsonPropertyName("op")]
+    public string Op { get; set; } = "count"; // count, sum, average
+
+    [JsonPropertyName("field")]
+    public string? Field { get; set; }
+
+    public static FirestoreAggregation Count() => new() { Op = "count" };
+
+    public static FirestoreAggregation Sum(string field) => new() { Op = "sum", Field = field };
+
+    /// <summary>
+    /// Null when no matching document has a numeric value for the field
+    /// </summary>
+    public static FirestoreAggregation Average(string field) => new() { Op = "average", Field = field };
+}
+
+public class FirestoreAggregateResult
+{
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    [JsonPropertyName("values")]
+    public Dictionary<string, double?> Values { get; set; } = new();
+
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+
+    public double? GetValue(string name) =>
+        Values.TryGetValue(name, out var value) ? value : null;
+
+    public long GetCount(string name) => (long)(GetValue(name) ?? 0);
+}
@@ -0,0 +1,47 @@
+// Models/Firebase/FirestoreFieldValue.cs - SENTINEL VALUES FOR firestoreModule WRITES
+namespace SubashaVentures.Models.Firebase;
+
+/// <summary>
+/// Values firestoreModule turns into Firestore FieldValues and typed values when writing.
+/// Use them in anonymous objects or dictionaries passed to add/update calls.
+/// </summary>
+/// <example>
+/// await firestore.UpdateFieldsAsync("products", productId, new
+/// {
+///     view_count = FirestoreFieldValue.Increment(1),
+///     updated_at = FirestoreFieldValue.ServerTimestamp(),
+///     draft_notes = FirestoreFieldValue.Delete()
+/// });
+/// </example>
+public static class FirestoreFieldValue
+{
+    /// <summary>
+    /// Adds amount to the stored number (a missing field counts as 0)
+    /// </summary>
+    public static Dictionary<string, object> Increment(double amount) =>
+        new() { ["$increment"] = amount };
+
+    public static Dictionary<string, object> ServerTimestamp() =>
+        new() { ["$serverTimestamp"] = true };
+
+    /// <summary>
+    /// Removes the field. Only valid in updates and merge sets.
+    /// </summary>
+    public static Dictionary<string, object> Delete() =>
+        new() { ["$delete"] = true };
+
+    /// <summary>
+    /// Stores a Firestore Timestamp instead of an ISO string
+    /// </summary>
+    public static Dictionary<string, object> Timestamp(DateTime value) =>
+        new() { ["$timestamp"] = FirestoreTimestamps.ToIso(value) };
+
+    public static Dictionary<string, object> GeoPoint(double lat, double lng) =>
+        new() { ["$geopoint"] = new Dictionary<string, double> { ["lat"] = lat, ["lng"] = lng } };
+
+    /// <summary>
+    /// Stores a DocumentReference to the document at path, e.g. "brands/b1"
+    /// </summary>
+    public static Dictionary<string, object> Reference(string path) =>
+        new() { ["$ref"] = path };
+}
@@ -0,0 +1,77 @@
+// Models/Firebase/FirestoreOfflineOperationModel.cs - QUEUED OFFLINE WRITES
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace SubashaVentures.Models.Firebase;
+
+/// <summary>
+/// A write firestoreModule queued while offline, waiting to be replayed.
+/// Failed and conflicting operations stay in the queue until retried or discarded.
+/// </summary>
+public class FirestoreOfflineOperation
+{
+    [JsonPropertyName("id")]
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// firestoreModule function that failed, e.g. "updateDocument"
+    /// </summary>
+    [JsonPropertyName("operation")]
+    public string Operation { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Document path written to; null for batches
+    /// </summary>
+    [JsonPropertyName("target")]
+    public string? Target { get; set; }
+
+    [JsonPropertyName("args")]
+    public List<JsonElement> Args { get; set; } = new();
+
+    [JsonPropertyName("status")]
+    public string Status { get; set; } = FirestoreOfflineStatus.Pending;
+
+    [JsonPropertyName("attempts")]
+    public int Attempts { get; set; }
+
+    [JsonPropertyName("lastError")]
+    public string? LastError { get; set; }
+
+    [JsonPropertyName("createdAt")]
+    public DateTime CreatedAt { get; set; }
+
+    [JsonPropertyName("nextAttemptAt")]
+    public DateTime? NextAttemptAt { get; set; }
+
+    public bool IsPending => Status == FirestoreOfflineStatus.Pending;
+    public bool NeedsAttention => Status is FirestoreOfflineStatus.Failed or FirestoreOfflineStatus.Conflict;
+}
+
+public static class FirestoreOfflineStatus
+{
+    public const string Pending = "pending";
+
+    /// <summary>
+    /// Permanent error, or retries exhausted
+    /// </summary>
+    public const string Failed = "failed";
+
+    /// <summary>
+    /// Skipped under the server-wins policy because the server copy is newer.
+    /// Retrying applies it anyway.
+    /// </summary>
+    public const string Conflict = "conflict";
+}
+
+public static class FirestoreConflictPolicy
+{
+    /// <summary>
+    /// Queued writes are replayed over whatever the server has (default)
+    /// </summary>
+    public const string LastWriteWins = "last-write-wins";
+
+    /// <summary>
+    /// Queued writes are skipped when the document's updated_at is newer than the write
+    /// </summary>
+    public const string ServerWins = "server-wins";
+}
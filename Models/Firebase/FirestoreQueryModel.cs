@@ -0,0 +1,76 @@
+// Models/Firebase/FirestoreQueryModel.cs - QUERY SPEC FOR firestoreModule
+using System.Text.Json.Serialization;
+
+namespace SubashaVentures.Models.Firebase;
+
+/// <summary>
+/// Compound query passed to firestoreModule.queryCollectionPage.
+/// Pass NextCursor from the previous page as StartAfter to fetch the next one.
+/// Range and inequality filters combined with OrderBy need a composite index.
+/// </summary>
+public class FirestoreQuery
+{
+    [JsonPropertyName("where")]
+    public List<FirestoreFilter> Where { get; set; } = new();
+
+    [JsonPropertyName("orderBy")]
+    public List<FirestoreOrderBy> OrderBy { get; set; } = new();
+
+    [JsonPropertyName("limit")]
+    public int? Limit { get; set; }
+
+    [JsonPropertyName("startAfter")]
+    public string? StartAfter { get; set; }
+
+    public FirestoreQuery AddFilter(string field, string op, object? value)
+    {
+        Where.Add(new FirestoreFilter { Field = field, Op = op, Value = value });
+        return this;
+    }
+
+    public FirestoreQuery AddOrderBy(string field, bool descending = false)
+    {
+        OrderBy.Add(new FirestoreOrderBy { Field = field, Direction = descending ? "desc" : "asc" });
+        return this;
+    }
+}
+
+/// <summary>
+/// Single where clause. Op is one of:
+/// &lt;, &lt;=, ==, !=, &gt;=, &gt;, in, not-in, array-contains, array-contains-any
+/// </summary>
+public class FirestoreFilter
+{
+    [JsonPropertyName("field")]
+    public string Field { get; set; } = string.Empty;
+
+    [JsonPropertyName("op")]
+    public string Op { get; set; } = "==";
+
+    [JsonPropertyName("value")]
+    public object? Value { get; set; }
+}
+
+public class FirestoreOrderBy
+{
+    [JsonPropertyName("field")]
+    public string Field { get; set; } = string.Empty;
+
+    [JsonPropertyName("direction")]
+    public string Direction { get; set; } = "asc"; // asc, desc
+}
+
+/// <summary>
+/// One page of query results. NextCursor is null on the last page.
+/// </summary>
+public class FirestoreQueryPage<T>
+{
+    [JsonPropertyName("items")]
+    public List<T> Items { get; set; } = new();
+
+    [JsonPropertyName("nextCursor")]
+    public string? NextCursor { get; set; }
+
+    [JsonIgnore]
+    public bool HasMore => !string.IsNullOrEmpty(NextCursor);
+}
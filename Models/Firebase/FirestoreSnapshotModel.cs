@@ -0,0 +1,55 @@
+// Models/Firebase/FirestoreSnapshotModel.cs - REAL-TIME LISTENER PAYLOADS
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace SubashaVentures.Models.Firebase;
+
+/// <summary>
+/// One snapshot pushed by a firestoreModule listener.
+/// The first snapshot reports every matching document as "added".
+/// </summary>
+public class FirestoreSnapshotEvent
+{
+    [JsonPropertyName("subscriptionId")]
+    public string SubscriptionId { get; set; } = string.Empty;
+
+    [JsonPropertyName("changes")]
+    public List<FirestoreDocumentChange> Changes { get; set; } = new();
+
+    [JsonPropertyName("fromCache")]
+    public bool FromCache { get; set; }
+
+    [JsonPropertyName("hasPendingWrites")]
+    public bool HasPendingWrites { get; set; }
+
+    /// <summary>
+    /// Set when Firestore cancelled the listener (e.g. permission denied).
+    /// No further events follow.
+    /// </summary>
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+}
+
+public class FirestoreDocumentChange
+{
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = string.Empty; // added, modified, removed
+
+    [JsonPropertyName("id")]
+    public string Id { get; set; } = string.Empty;
+
+    [JsonPropertyName("path")]
+    public string Path { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Document data; null for removed documents
+    /// </summary>
+    [JsonPropertyName("data")]
+    public JsonElement? Data { get; set; }
+
+    public T? GetData<T>(JsonSerializerOptions? options = null) where T : class
+    {
+        if (Data is not { ValueKind: JsonValueKind.Object } data) return null;
+        return data.Deserialize<T>(options);
+    }
+}
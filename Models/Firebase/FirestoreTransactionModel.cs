@@ -0,0 +1,146 @@
+// Models/Firebase/FirestoreTransactionModel.cs - TRANSACTION & BATCH SPECS FOR firestoreModule
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace SubashaVentures.Models.Firebase;
+
+/// <summary>
+/// Atomic read-check-write passed to firestoreModule.runTransaction.
+/// Every document named in Reads, Conditions or an Increment write is read
+/// inside the transaction; if any condition fails nothing is written.
+/// </summary>
+/// <example>
+/// new FirestoreTransaction()
+///     .Require("products/p1", "stock", ">=", 2)
+///     .Write(FirestoreWrite.Increment("products/p1", "stock", -2))
+///     .Write(FirestoreWrite.Set($"orders/{orderId}", order))
+///     .Write(FirestoreWrite.Increment($"partners/{partnerId}", "earnings", total));
+/// </example>
+public class FirestoreTransaction
+{
+    [JsonPropertyName("reads")]
+    public List<string> Reads { get; set; } = new();
+
+    [JsonPropertyName("conditions")]
+    public List<FirestoreCondition> Conditions { get; set; } = new();
+
+    [JsonPropertyName("writes")]
+    public List<FirestoreWrite> Writes { get; set; } = new();
+
+    public FirestoreTransaction Read(string path)
+    {
+        Reads.Add(path);
+        return this;
+    }
+
+    public FirestoreTransaction Require(string path, string field, string op, object? value)
+    {
+        Conditions.Add(new FirestoreCondition { Path = path, Field = field, Op = op, Value = value });
+        return this;
+    }
+
+    public FirestoreTransaction RequireExists(string path, bool exists = true)
+    {
+        Conditions.Add(new FirestoreCondition { Path = path, Exists = exists });
+        return this;
+    }
+
+    public FirestoreTransaction Write(FirestoreWrite write)
+    {
+        Writes.Add(write);
+        return this;
+    }
+}
+
+/// <summary>
+/// Either a field comparison (Field/Op/Value) or an existence check (Exists)
+/// </summary>
+public class FirestoreCondition
+{
+    [JsonPropertyName("path")]
+    public string Path { get; set; } = string.Empty;
+
+    [JsonPropertyName("field")]
+    public string? Field { get; set; }
+
+    [JsonPropertyName("op")]
+    public string? Op { get; set; }
+
+    [JsonPropertyName("value")]
+    public object? Value { get; set; }
+
+    [JsonPropertyName("exists")]
+    public bool? Exists { get; set; }
+}
+
+/// <summary>
+/// Single write addressed by full document path, e.g. "orders/o1" or
+/// "messages/{userId}/conversations/{conversationId}"
+/// </summary>
+public class FirestoreWrite
+{
+    [JsonPropertyName("op")]
+    public string Op { get; set; } = "set"; // set, update, delete
+
+    [JsonPropertyName("path")]
+    public string Path { get; set; } = string.Empty;
+
+    [JsonPropertyName("data")]
+    public object? Data { get; set; }
+
+    [JsonPropertyName("merge")]
+    public bool Merge { get; set; }
+
+    /// <summary>
+    /// Field → amount added to the value read in the same transaction.
+    /// Only valid inside FirestoreTransaction.
+    /// </summary>
+    [JsonPropertyName("increment")]
+    public Dictionary<string, double>? Increment { get; set; }
+
+    public static FirestoreWrite Set(string path, object data, bool merge = false) =>
+        new() { Op = "set", Path = path, Data = data, Merge = merge };
+
+    public static FirestoreWrite Update(string path, object data) =>
+        new() { Op = "update", Path = path, Data = data };
+
+    public static FirestoreWrite Delete(string path) =>
+        new() { Op = "delete", Path = path };
+
+    public static FirestoreWrite Increment(string path, string field, double amount) =>
+        new() { Op = "update", Path = path, Increment = new Dictionary<string, double> { [field] = amount } };
+}
+
+public class FirestoreTransactionResult
+{
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Documents listed in Reads, keyed by path; null when missing
+    /// </summary>
+    [JsonPropertyName("reads")]
+    public Dictionary<string, JsonElement?> Reads { get; set; } = new();
+
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+}
+
+/// <summary>
+/// Batches are committed in chunks of 500 writes. Each chunk is atomic, so
+/// on failure Committed tells how many writes already landed.
+/// </summary>
+public class FirestoreBatchResult
+{
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    [JsonPropertyName("committed")]
+    public int Committed { get; set; }
+
+    [JsonPropertyName("total")]
+    public int Total { get; set; }
+
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+}
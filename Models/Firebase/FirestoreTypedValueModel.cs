@@ -0,0 +1,177 @@
+// Models/Firebase/FirestoreTypedValueModel.cs - TIMESTAMP, GEOPOINT & REFERENCE MAPPING
+using System.Globalization;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace SubashaVentures.Models.Firebase;
+
+// firestoreModule reads Timestamps as ISO-8601 strings, GeoPoints as
+// { lat, lng } and DocumentReferences as { path, id }. Writes need the tagged
+// forms ({ "$timestamp": ... }, { "$geopoint": ... }, { "$ref": ... }) or the
+// values are stored as plain strings and maps. The types and converters below
+// read either form and always write the tagged one, so a model round-trips
+// without changing the stored Firestore types.
+
+/// <summary>
+/// Firestore GeoPoint
+/// </summary>
+[JsonConverter(typeof(FirestoreGeoPointConverter))]
+public class FirestoreGeoPoint
+{
+    public double Lat { get; set; }
+    public double Lng { get; set; }
+
+    public FirestoreGeoPoint() { }
+
+    public FirestoreGeoPoint(double lat, double lng)
+    {
+        Lat = lat;
+        Lng = lng;
+    }
+}
+
+/// <summary>
+/// Firestore DocumentReference, e.g. "brands/b1"
+/// </summary>
+[JsonConverter(typeof(FirestoreDocumentReferenceConverter))]
+public class FirestoreDocumentReference
+{
+    public string Path { get; set; } = string.Empty;
+    public string Id => Path.Split('/').LastOrDefault() ?? string.Empty;
+
+    public FirestoreDocumentReference() { }
+
+    public FirestoreDocumentReference(string path)
+    {
+        Path = path;
+    }
+}
+
+public class FirestoreGeoPointConverter : JsonConverter<FirestoreGeoPoint>
+{
+    public override FirestoreGeoPoint? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        if (reader.TokenType == JsonTokenType.Null) return null;
+
+        using var document = JsonDocument.ParseValue(ref reader);
+        var point = document.RootElement;
+        if (point.TryGetProperty("$geopoint", out var tagged)) point = tagged;
+
+        return new FirestoreGeoPoint(point.GetProperty("lat").GetDouble(), point.GetProperty("lng").GetDouble());
+    }
+
+    public override void Write(Utf8JsonWriter writer, FirestoreGeoPoint value, JsonSerializerOptions options)
+    {
+        writer.WriteStartObject();
+        writer.WriteStartObject("$geopoint");
+        writer.WriteNumber("lat", value.Lat);
+        writer.WriteNumber("lng", value.Lng);
+        writer.WriteEndObject();
+        writer.WriteEndObject();
+    }
+}
+
+public class FirestoreDocumentReferenceConverter : JsonConverter<FirestoreDocumentReference>
+{
+    public override FirestoreDocumentReference? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        if (reader.TokenType == JsonTokenType.Null) return null;
+        if (reader.TokenType == JsonTokenType.String) return new FirestoreDocumentReference(reader.GetString()!);
+
+        using var document = JsonDocument.ParseValue(ref reader);
+        var reference = document.RootElement;
+        var path = reference.TryGetProperty("$ref", out var tagged)
+            ? tagged.GetString()
+            : reference.GetProperty("path").GetString();
+
+        return new FirestoreDocumentReference(path ?? string.Empty);
+    }
+
+    public override void Write(Utf8JsonWriter writer, FirestoreDocumentReference value, JsonSerializerOptions options)
+    {
+        writer.WriteStartObject();
+        writer.WriteString("$ref", value.Path);
+        writer.WriteEndObject();
+    }
+}
+
+/// <summary>
+/// Put on DateTime properties stored as Firestore Timestamps:
+/// [JsonConverter(typeof(FirestoreTimestampConverter))]
+/// Without it a DateTime is written as an ISO string, which Firestore
+/// stores (and orders) as text.
+/// </summary>
+public class FirestoreTimestampConverter : JsonConverter<DateTime>
+{
+    public override DateTime Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        return FirestoreTimestamps.Read(ref reader) ?? default;
+    }
+
+    public override void Write(Utf8JsonWriter writer, DateTime value, JsonSerializerOptions options)
+    {
+        FirestoreTimestamps.Write(writer, value);
+    }
+}
+
+/// <summary>
+/// FirestoreTimestampConverter for DateTime? properties
+/// </summary>
+public class FirestoreNullableTimestampConverter : JsonConverter<DateTime?>
+{
+    public override bool HandleNull => true;
+
+    public override DateTime? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        return FirestoreTimestamps.Read(ref reader);
+    }
+
+    public override void Write(Utf8JsonWriter writer, DateTime? value, JsonSerializerOptions options)
+    {
+        if (value == null)
+        {
+            writer.WriteNullValue();
+            return;
+        }
+        FirestoreTimestamps.Write(writer, value.Value);
+    }
+}
+
+internal static class FirestoreTimestamps
+{
+    public static DateTime? Read(ref Utf8JsonReader reader)
+    {
+        if (reader.TokenType == JsonTokenType.Null) return null;
+
+        string? iso;
+        if (reader.TokenType == JsonTokenType.String)
+        {
+            iso = reader.GetString();
+        }
+        else
+        {
+            using var document = JsonDocument.ParseValue(ref reader);
+            iso = document.RootElement.GetProperty("$timestamp").GetString();
+        }
+
+        if (string.IsNullOrEmpty(iso)) return null;
+        return DateTime.Parse(iso, CultureInfo.InvariantCulture, DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal);
+    }
+
+    public static void Write(Utf8JsonWriter writer, DateTime value)
+    {
+        writer.WriteStartObject();
+        writer.WriteString("$timestamp", ToIso(value));
+        writer.WriteEndObject();
+    }
+
+    public static string ToIso(DateTime value)
+    {
+        // Unspecified kinds are treated as UTC rather than browser-local time
+        var utc = value.Kind == DateTimeKind.Unspecified
+            ? DateTime.SpecifyKind(value, DateTimeKind.Utc)
+            : value.ToUniversalTime();
+
+        return utc.ToString("yyyy-MM-ddTHH:mm:ss.fffZ", CultureInfo.InvariantCulture);
+    }
+}
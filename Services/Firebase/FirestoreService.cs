@@ -1,5 +1,6 @@
 // Services/Firebase/FirestoreService.cs - FIXED: Implemented subcollection methods
 
+using SubashaVentures.Models.Firebase;
 using SubashaVentures.Services.Storage;
 using Microsoft.JSInterop;
 using SubashaVentures.Utilities.HelperScripts;
@@ -962,6 +963,335 @@ namespace SubashaVentures.Services.Firebase
             }
         }
 
+        // ==================== QUERY BUILDER ====================
+
+        public async Task<FirestoreQueryPage<T>> QueryCollectionPageAsync<T>(string collection, FirestoreQuery query) where T : class
+        {
+            try
+            {
+                await MID_HelperFunctions.DebugMessageAsync(
+                    $"🔍 C# QueryCollectionPageAsync: {collection}",
+                    LogLevel.Debug
+                );
+
+                var initialized = await EnsureInitializedAsync();
+                if (!initialized) return new FirestoreQueryPage<T>();
+
+                var jsonQuery = JsonSerializer.Serialize(query, _jsonOptions);
+                var jsonResult = await _jsRuntime.InvokeAsync<string>(
+                    "firestoreModule.queryCollectionPage", 
+                    collection, 
+                    jsonQuery
+                );
+
+                return DeserializePage<T>(jsonResult);
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, $"Querying collection page: {collection}");
+                return new FirestoreQueryPage<T>();
+            }
+        }
+
+        public async Task<FirestoreQueryPage<T>> QuerySubcollectionPageAsync<T>(string collection, string docId, string subcollection, FirestoreQuery query) where T : class
+        {
+            try
+            {
+                await MID_HelperFunctions.DebugMessageAsync(
+                    $"🔍 C# QuerySubcollectionPageAsync: {collection}/{docId}/{subcollection}",
+                    LogLevel.Debug
+                );
+
+                var initialized = await EnsureInitializedAsync();
+                if (!initialized) return new FirestoreQueryPage<T>();
+
+                var jsonQuery = JsonSerializer.Serialize(query, _jsonOptions);
+                var jsonResult = await _jsRuntime.InvokeAsync<string>(
+                    "firestoreModule.querySubcollectionPage", 
+                    collection, 
+                    docId, 
+                    subcollection, 
+                    jsonQuery
+                );
+
+                return DeserializePage<T>(jsonResult);
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, $"Querying subcollection page: {collection}/{docId}/{subcollection}");
+                return new FirestoreQueryPage<T>();
+            }
+        }
+
+        /// <summary>
+        /// Queries every subcollection named collectionId regardless of parent,
+        /// e.g. "conversations" under all messages/{userId}
+        /// </summary>
+        public async Task<FirestoreQueryPage<T>> QueryCollectionGroupPageAsync<T>(string collectionId, FirestoreQuery query) where T : class
+        {
+            try
+            {
+                await MID_HelperFunctions.DebugMessageAsync(
+                    $"🔍 C# QueryCollectionGroupPageAsync: {collectionId}",
+                    LogLevel.Debug
+                );
+
+                var initialized = await EnsureInitializedAsync();
+                if (!initialized) return new FirestoreQueryPage<T>();
+
+                var jsonQuery = JsonSerializer.Serialize(query, _jsonOptions);
+                var jsonResult = await _jsRuntime.InvokeAsync<string>(
+                    "firestoreModule.queryCollectionGroupPage", 
+                    collectionId, 
+                    jsonQuery
+                );
+
+                return DeserializePage<T>(jsonResult);
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, $"Querying collection group page: {collectionId}");
+                return new FirestoreQueryPage<T>();
+            }
+        }
+
+        // ==================== AGGREGATIONS ====================
+
+        public Task<FirestoreAggregateResult> AggregateCollectionAsync(string collection, FirestoreQuery? query, Dictionary<string, FirestoreAggregation> aggregations)
+        {
+            return AggregateAsync(collection, aggregations, "firestoreModule.aggregateCollection", collection, SerializeQuery(query), SerializeAggregations(aggregations));
+        }
+
+        public Task<FirestoreAggregateResult> AggregateSubcollectionAsync(string collection, string docId, string subcollection, FirestoreQuery? query, Dictionary<string, FirestoreAggregation> aggregations)
+        {
+            return AggregateAsync($"{collection}/{docId}/{subcollection}", aggregations, "firestoreModule.aggregateSubcollection", collection, docId, subcollection, SerializeQuery(query), SerializeAggregations(aggregations));
+        }
+
+        public Task<FirestoreAggregateResult> AggregateCollectionGroupAsync(string collectionId, FirestoreQuery? query, Dictionary<string, FirestoreAggregation> aggregations)
+        {
+            return AggregateAsync($"group {collectionId}", aggregations, "firestoreModule.aggregateCollectionGroup", collectionId, SerializeQuery(query), SerializeAggregations(aggregations));
+        }
+
+        private async Task<FirestoreAggregateResult> AggregateAsync(string target, Dictionary<string, FirestoreAggregation> aggregations, string jsFunction, params object?[] args)
+        {
+            try
+            {
+                await MID_HelperFunctions.DebugMessageAsync(
+                    $"🧮 C# Aggregating {target}: {string.Join(", ", aggregations.Keys)}",
+                    LogLevel.Debug
+                );
+
+                var initialized = await EnsureInitializedAsync();
+                if (!initialized)
+                {
+                    return new FirestoreAggregateResult { Error = "Firestore not initialized" };
+                }
+
+                var jsonResult = await _jsRuntime.InvokeAsync<string>(jsFunction, args);
+                var result = JsonSerializer.Deserialize<FirestoreAggregateResult>(jsonResult, _jsonOptions)
+                    ?? new FirestoreAggregateResult { Error = "Empty aggregation result" };
+
+                if (!result.Success)
+                {
+                    await MID_HelperFunctions.DebugMessageAsync(
+                        $"⚠️ Aggregation on {target} failed: {result.Error}",
+                        LogLevel.Warning
+                    );
+                }
+
+                return result;
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, $"Aggregating: {target}");
+                return new FirestoreAggregateResult { Error = ex.Message };
+            }
+        }
+
+        private string? SerializeQuery(FirestoreQuery? query)
+        {
+            return query == null ? null : JsonSerializer.Serialize(query, _jsonOptions);
+        }
+
+        private string SerializeAggregations(Dictionary<string, FirestoreAggregation> aggregations)
+        {
+            return JsonSerializer.Serialize(aggregations, _jsonOptions);
+        }
+
+        // ==================== TRANSACTIONS & BATCHED WRITES ====================
+
+        public async Task<FirestoreTransactionResult> RunTransactionAsync(FirestoreTransaction transaction)
+        {
+            try
+            {
+                await MID_HelperFunctions.DebugMessageAsync(
+                    $"🔒 C# RunTransactionAsync: {transaction.Writes.Count} writes",
+                    LogLevel.Debug
+                );
+
+                var initialized = await EnsureInitializedAsync();
+                if (!initialized)
+                {
+                    return new FirestoreTransactionResult { Error = "Firestore not initialized" };
+                }
+
+                var json = JsonSerializer.Serialize(transaction, _jsonOptions);
+                var jsonResult = await _jsRuntime.InvokeAsync<string>(
+                    "firestoreModule.runTransaction", 
+                    json
+                );
+
+                var result = JsonSerializer.Deserialize<FirestoreTransactionResult>(jsonResult, _jsonOptions)
+                    ?? new FirestoreTransactionResult { Error = "Empty transaction result" };
+
+                if (!result.Success)
+                {
+                    await MID_HelperFunctions.DebugMessageAsync(
+                        $"⚠️ Transaction not committed: {result.Error}",
+                        LogLevel.Warning
+                    );
+                }
+
+                return result;
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, "Running transaction");
+                return new FirestoreTransactionResult { Error = ex.Message };
+            }
+        }
+
+        public async Task<FirestoreBatchResult> WriteBatchAsync(List<FirestoreWrite> writes)
+        {
+            try
+            {
+                var initialized = await EnsureInitializedAsync();
+                if (!initialized)
+                {
+                    return new FirestoreBatchResult { Total = writes.Count, Error = "Firestore not initialized" };
+                }
+
+                var json = JsonSerializer.Serialize(writes, _jsonOptions);
+                var jsonResult = await _jsRuntime.InvokeAsync<string>(
+                    "firestoreModule.writeBatch", 
+                    json
+                );
+
+                var result = JsonSerializer.Deserialize<FirestoreBatchResult>(jsonResult, _jsonOptions)
+                    ?? new FirestoreBatchResult { Total = writes.Count, Error = "Empty batch result" };
+
+                if (!result.Success)
+                {
+                    await MID_HelperFunctions.DebugMessageAsync(
+                        $"⚠️ Batch failed after {result.Committed}/{result.Total} writes: {result.Error}",
+                        LogLevel.Warning
+                    );
+                }
+
+                return result;
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, "Writing batch");
+                return new FirestoreBatchResult { Total = writes.Count, Error = ex.Message };
+            }
+        }
+
+        // ==================== REAL-TIME LISTENERS ====================
+
+        public Task<FirestoreSubscription?> SubscribeDocumentAsync(string collection, string id, Func<FirestoreSnapshotEvent, Task> onSnapshot)
+        {
+            return SubscribeAsync(
+                $"{collection}/{id}",
+                onSnapshot,
+                reference => _jsRuntime.InvokeAsync<string>(
+                    "firestoreModule.subscribeDocument", 
+                    collection, 
+                    id, 
+                    reference
+                )
+            );
+        }
+
+        public Task<FirestoreSubscription?> SubscribeCollectionAsync(string collection, FirestoreQuery? query, Func<FirestoreSnapshotEvent, Task> onSnapshot)
+        {
+            var jsonQuery = query != null ? JsonSerializer.Serialize(query, _jsonOptions) : null;
+            return SubscribeAsync(
+                collection,
+                onSnapshot,
+                reference => _jsRuntime.InvokeAsync<string>(
+                    "firestoreModule.subscribeCollection", 
+                    collection, 
+                    jsonQuery, 
+                    reference
+                )
+            );
+        }
+
+        public Task<FirestoreSubscription?> SubscribeSubcollectionAsync(string collection, string docId, string subcollection, FirestoreQuery? query, Func<FirestoreSnapshotEvent, Task> onSnapshot)
+        {
+            var jsonQuery = query != null ? JsonSerializer.Serialize(query, _jsonOptions) : null;
+            return SubscribeAsync(
+                $"{collection}/{docId}/{subcollection}",
+                onSnapshot,
+                reference => _jsRuntime.InvokeAsync<string>(
+                    "firestoreModule.subscribeSubcollection", 
+                    collection, 
+                    docId, 
+                    subcollection, 
+                    jsonQuery, 
+                    reference
+                )
+            );
+        }
+
+        private async Task<FirestoreSubscription?> SubscribeAsync(
+            string target,
+            Func<FirestoreSnapshotEvent, Task> onSnapshot,
+            Func<DotNetObjectReference<FirestoreSubscription>, ValueTask<string>> subscribe)
+        {
+            var subscription = new FirestoreSubscription(_jsRuntime, onSnapshot);
+            try
+            {
+                var initialized = await EnsureInitializedAsync();
+                if (!initialized)
+                {
+                    await subscription.DisposeAsync();
+                    return null;
+                }
+
+                var subscriptionId = await subscribe(subscription.Reference);
+                if (string.IsNullOrEmpty(subscriptionId))
+                {
+                    await MID_HelperFunctions.DebugMessageAsync(
+                        $"❌ Could not subscribe to {target}",
+                        LogLevel.Error
+                    );
+                    await subscription.DisposeAsync();
+                    return null;
+                }
+
+                subscription.Attach(subscriptionId);
+                await MID_HelperFunctions.DebugMessageAsync(
+                    $"👂 Subscribed to {target} ({subscriptionId})",
+                    LogLevel.Debug
+                );
+                return subscription;
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, $"Subscribing to: {target}");
+                await subscription.DisposeAsync();
+                return null;
+            }
+        }
+
+        private FirestoreQueryPage<T> DeserializePage<T>(string jsonResult) where T : class
+        {
+            if (string.IsNullOrEmpty(jsonResult)) return new FirestoreQueryPage<T>();
+            return JsonSerializer.Deserialize<FirestoreQueryPage<T>>(jsonResult, _jsonOptions) ?? new FirestoreQueryPage<T>();
+        }
+
         // ==================== CONNECTION MANAGEMENT ====================
 
         public async Task<bool> IsConnectedAsync()
@@ -1025,5 +1355,69 @@ namespace SubashaVentures.Services.Firebase
                 await MID_HelperFunctions.LogExceptionAsync(ex, "Processing pending operations");
             }
         }
+
+        // ==================== OFFLINE QUEUE ====================
+
+        public async Task<List<FirestoreOfflineOperation>> GetOfflineOperationsAsync()
+        {
+            try
+            {
+                var jsonResult = await _jsRuntime.InvokeAsync<string>("firestoreModule.getOfflineOperations");
+                if (string.IsNullOrEmpty(jsonResult)) return new List<FirestoreOfflineOperation>();
+
+                return JsonSerializer.Deserialize<List<FirestoreOfflineOperation>>(jsonResult, _jsonOptions)
+                    ?? new List<FirestoreOfflineOperation>();
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, "Getting offline operations");
+                return new List<FirestoreOfflineOperation>();
+            }
+        }
+
+        public async Task<bool> DiscardOfflineOperationAsync(string operationId)
+        {
+            try
+            {
+                return await _jsRuntime.InvokeAsync<bool>("firestoreModule.discardOfflineOperation", operationId);
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, $"Discarding offline operation: {operationId}");
+                return false;
+            }
+        }
+
+        public async Task<bool> RetryOfflineOperationAsync(string operationId)
+        {
+            try
+            {
+                var initialized = await EnsureInitializedAsync();
+                if (!initialized) return false;
+
+                return await _jsRuntime.InvokeAsync<bool>("firestoreModule.retryOfflineOperation", operationId);
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, $"Retrying offline operation: {operationId}");
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// One of FirestoreConflictPolicy.LastWriteWins or FirestoreConflictPolicy.ServerWins
+        /// </summary>
+        public async Task<bool> SetOfflineConflictPolicyAsync(string policy)
+        {
+            try
+            {
+                return await _jsRuntime.InvokeAsync<bool>("firestoreModule.setOfflineConflictPolicy", policy);
+            }
+            catch (Exception ex)
+            {
+                await MID_HelperFunctions.LogExceptionAsync(ex, $"Setting offline conflict policy: {policy}");
+                return false;
+            }
+        }
     }
 }
@@ -0,0 +1,85 @@
+// Services/Firebase/FirestoreSubscription.cs
+using Microsoft.JSInterop;
+using System.Text.Json;
+using SubashaVentures.Models.Firebase;
+using SubashaVentures.Utilities.HelperScripts;
+
+namespace SubashaVentures.Services.Firebase;
+
+/// <summary>
+/// Live Firestore listener created by IFirestoreService.Subscribe*Async.
+/// Receives snapshots from firestoreModule and forwards them to the handler.
+/// Dispose it (typically from the component's DisposeAsync) to stop listening.
+/// </summary>
+public class FirestoreSubscription : IAsyncDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Func<FirestoreSnapshotEvent, Task> _onSnapshot;
+    private readonly DotNetObjectReference<FirestoreSubscription> _dotNetRef;
+    private bool _disposed;
+
+    public string? SubscriptionId { get; private set; }
+    public bool IsActive => SubscriptionId != null && !_disposed;
+
+    internal FirestoreSubscription(IJSRuntime jsRuntime, Func<FirestoreSnapshotEvent, Task> onSnapshot)
+    {
+        _jsRuntime = jsRuntime;
+        _onSnapshot = onSnapshot;
+        _dotNetRef = DotNetObjectReference.Create(this);
+    }
+
+    internal DotNetObjectReference<FirestoreSubscription> Reference => _dotNetRef;
+
+    internal void Attach(string subscriptionId) => SubscriptionId = subscriptionId;
+
+    [JSInvokable]
+    public async Task OnFirestoreSnapshot(string json)
+    {
+        if (_disposed) return;
+
+        try
+        {
+            var snapshot = JsonSerializer.Deserialize<FirestoreSnapshotEvent>(json);
+            if (snapshot == null) return;
+
+            if (snapshot.Error != null)
+            {
+                // Firestore has already cancelled the listener
+                SubscriptionId = null;
+            }
+
+            await _onSnapshot(snapshot);
+        }
+        catch (Exception ex)
+        {
+            await MID_HelperFunctions.LogExceptionAsync(ex, "Handling Firestore snapshot");
+        }
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_disposed) return;
+        _disposed = true;
+
+        try
+        {
+            if (SubscriptionId != null)
+            {
+                await _jsRuntime.InvokeAsync<bool>("firestoreModule.unsubscribe", SubscriptionId);
+            }
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit already gone — nothing left to unsubscribe
+        }
+        catch (Exception ex)
+        {
+            await MID_HelperFunctions.LogExceptionAsync(ex, $"Disposing Firestore subscription {SubscriptionId}");
+        }
+        finally
+        {
+            SubscriptionId = null;
+            _dotNetRef.Dispose();
+        }
+    }
+}
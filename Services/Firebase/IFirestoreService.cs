@@ -1,6 +1,8 @@
 // Services/Firebase/IFirestoreService.cs
+using System;
 using System.Threading.Tasks;
 using System.Collections.Generic;
+using SubashaVentures.Models.Firebase;
 
 namespace SubashaVentures.Services.Firebase
 {
@@ -16,6 +18,12 @@ namespace SubashaVentures.Services.Firebase
         Task<bool> GetManualConnectionStateAsync();
         Task ProcessPendingOperationsAsync();
 
+        // ==================== OFFLINE QUEUE ====================
+        Task<List<FirestoreOfflineOperation>> GetOfflineOperationsAsync();
+        Task<bool> DiscardOfflineOperationAsync(string operationId);
+        Task<bool> RetryOfflineOperationAsync(string operationId);
+        Task<bool> SetOfflineConflictPolicyAsync(string policy);
+
         // ==================== DOCUMENT OPERATIONS ====================
         Task<T> GetDocumentAsync<T>(string collection, string id) where T : class;
         Task<string> AddDocumentAsync<T>(string collection, T data, string customId = null) where T : class;
@@ -45,5 +53,24 @@ namespace SubashaVentures.Services.Firebase
         Task<List<T>> GetCollectionAsync<T>(string collection) where T : class;
         Task<List<T>> QueryCollectionAsync<T>(string collection, string field, object value) where T : class;
         Task<bool> AddBatchAsync<T>(string collection, List<T> items) where T : class;
+
+        // ==================== QUERY BUILDER ====================
+        Task<FirestoreQueryPage<T>> QueryCollectionPageAsync<T>(string collection, FirestoreQuery query) where T : class;
+        Task<FirestoreQueryPage<T>> QuerySubcollectionPageAsync<T>(string collection, string docId, string subcollection, FirestoreQuery query) where T : class;
+        Task<FirestoreQueryPage<T>> QueryCollectionGroupPageAsync<T>(string collectionId, FirestoreQuery query) where T : class;
+
+        // ==================== AGGREGATIONS ====================
+        Task<FirestoreAggregateResult> AggregateCollectionAsync(string collection, FirestoreQuery? query, Dictionary<string, FirestoreAggregation> aggregations);
+        Task<FirestoreAggregateResult> AggregateSubcollectionAsync(string collection, string docId, string subcollection, FirestoreQuery? query, Dictionary<string, FirestoreAggregation> aggregations);
+        Task<FirestoreAggregateResult> AggregateCollectionGroupAsync(string collectionId, FirestoreQuery? query, Dictionary<string, FirestoreAggregation> aggregations);
+
+        // ==================== TRANSACTIONS & BATCHED WRITES ====================
+        Task<FirestoreTransactionResult> RunTransactionAsync(FirestoreTransaction transaction);
+        Task<FirestoreBatchResult> WriteBatchAsync(List<FirestoreWrite> writes);
+
+        // ==================== REAL-TIME LISTENERS ====================
+        Task<FirestoreSubscription?> SubscribeDocumentAsync(string collection, string id, Func<FirestoreSnapshotEvent, Task> onSnapshot);
+        Task<FirestoreSubscription?> SubscribeCollectionAsync(string collection, FirestoreQuery? query, Func<FirestoreSnapshotEvent, Task> onSnapshot);
+        Task<FirestoreSubscription?> SubscribeSubcollectionAsync(string collection, string docId, string subcollection, FirestoreQuery? query, Func<FirestoreSnapshotEvent, Task> onSnapshot);
     }
 }
\ No newline at end of file
@@ -3,25 +3,99 @@
 // SubashaVentures — R2 Proxy Cloudflare Worker
 // ============================================================
 
-const ALLOWED_ORIGINS = [
-  "https://mysubasha.com",
-  "https://www.mysubasha.com",
-];
+// ── Config ────────────────────────────────────────────────────
+//
+// Per-environment settings come from the worker's vars (see the dev /
+// staging / production profiles in wrangler.toml); the defaults below are
+// the production values. Bindings are fixed for the life of an isolate, so
+// the parsed config is built once per env object; fetch() loads it and
+// passes it down to whatever needs it.
 
-function getCorsHeaders(request) {
+const DEFAULT_CONFIG = {
+  allowedOrigins: ["https://mysubasha.com", "https://www.mysubasha.com"],
+  bucketName: "subasha-ventures",
+  maxUploadSize: 5 * 1024 * 1024,              // 5 MB
+  maxPartSize: 95 * 1024 * 1024,               // stays under the 100 MB Workers body limit
+  maxMultipartSize: 1024 * 1024 * 1024,        // 1 GB
+  versionedPrefixes: [],                       // keep prior versions on overwrite ("*" = everywhere)
+  maxVersionsPerKey: 10,
+};
+
+const configCache = new WeakMap();
+
+function loadConfig(env) {
+  if (!configCache.has(env)) configCache.set(env, buildConfig(env));
+  return configCache.get(env);
+}
+
+function buildConfig(env) {
+  const origins = env.ALLOWED_ORIGINS
+    ? env.ALLOWED_ORIGINS.split(",").map((o) => o.trim()).filter(Boolean)
+    : DEFAULT_CONFIG.allowedOrigins;
+  const bytes = (value, fallback) => parseInt(value || "") || fallback;
+
+  return {
+    allowedOrigins: origins.map(compileOriginPattern),
+    bucketName: env.R2_BUCKET_NAME || DEFAULT_CONFIG.bucketName,
+    maxUploadSize: bytes(env.MAX_UPLOAD_BYTES, DEFAULT_CONFIG.maxUploadSize),
+    maxPartSize: bytes(env.MAX_PART_BYTES, DEFAULT_CONFIG.maxPartSize),
+    maxMultipartSize: bytes(env.MAX_MULTIPART_BYTES, DEFAULT_CONFIG.maxMultipartSize),
+    versionedPrefixes: env.VERSIONED_PREFIXES !== undefined
+      ? env.VERSIONED_PREFIXES.split(",").map((p) => p.trim()).filter(Boolean)
+      : DEFAULT_CONFIG.versionedPrefixes,
+    maxVersionsPerKey: parseInt(env.MAX_VERSIONS_PER_KEY || "") || DEFAULT_CONFIG.maxVersionsPerKey,
+  };
+}
+
+// "*" matches one or more DNS labels (or a port), so "https://*.mysubasha.com"
+// covers preview subdomains and "http://localhost:*" any local port.
+function compileOriginPattern(origin) {
+  if (!origin.includes("*")) return { origin, test: (value) => value === origin };
+
+  const source = origin
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, "\\$&"))
+    .join("[a-z0-9-]+(?:\\.[a-z0-9-]+)*");
+  const regex = new RegExp(`^${source}$`, "i");
+  return { origin: null, test: (value) => regex.test(value) };
+}
+
+// ── CORS ──────────────────────────────────────────────────────
+//
+// Every response leaves through fetch(), which adds these headers, so
+// handlers never set them themselves.
+
+function getCorsHeaders(request, config) {
   const origin = request.headers.get("Origin") || "";
-  const allowedOrigin = ALLOWED_ORIGINS.includes(origin)
+  const fallbackOrigin = config.allowedOrigins.find((o) => o.origin)?.origin || "null";
+  const allowedOrigin = config.allowedOrigins.some((o) => o.test(origin))
     ? origin
-    : ALLOWED_ORIGINS[0];
+    : fallbackOrigin;
   return {
     "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "GET, PUT, POST, DELETE, OPTIONS",
-    "Access-Control-Allow-Headers": "Authorization, Content-Type, apikey",
+    "Access-Control-Allow-Methods": "GET, HEAD, PUT, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers":
+      "Authorization, Content-Type, apikey, Range, If-Match, If-None-Match, If-Modified-Since",
+    "Access-Control-Expose-Headers":
+      "ETag, Retry-After, Content-Range, Content-Length, Accept-Ranges, Last-Modified, X-Cache-Status",
     "Access-Control-Max-Age": "86400",
     "Vary": "Origin",
   };
 }
 
+// Responses that already vary on more than Origin (negotiated variants) keep their Vary
+function withCorsHeaders(response, corsHeaders) {
+  const result = new Response(response.body, response);
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    if (name === "Vary") {
+      result.headers.set(name, response.headers.get("Vary") || value);
+    } else {
+      result.headers.set(name, value);
+    }
+  }
+  return result;
+}
+
 const ALLOWED_CONTENT_TYPES = new Set([
   "image/jpeg",
   "image/jpg",
@@ -30,69 +104,283 @@ const ALLOWED_CONTENT_TYPES = new Set([
   "image/gif",
 ]);
 
-const MAX_UPLOAD_SIZE = 5 * 1024 * 1024; // 5 MB
+// Multipart uploads also accept product videos
+const ALLOWED_MULTIPART_CONTENT_TYPES = new Set([
+  ...ALLOWED_CONTENT_TYPES,
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+]);
+
+const MIN_PART_SIZE = 5 * 1024 * 1024; // 5 MB (R2 minimum, except last part)
+const MAX_PART_COUNT = 10000;
 
 export default {
   async fetch(request, env, ctx) {
+    const config = loadConfig(env);
+    const corsHeaders = getCorsHeaders(request, config);
+
     if (request.method === "OPTIONS") {
       return new Response(null, {
         status: 204,
-        headers: getCorsHeaders(request),
+        headers: corsHeaders,
       });
     }
 
+    let response;
     try {
-      return await handleRequest(request, env);
+      response = await handleRequest(request, env, config, ctx);
     } catch (err) {
       console.error("Unhandled worker error:", err);
-      return errorResponse(request, 500, "Internal server error");
+      response = errorResponse(500, "Internal server error");
     }
+    return withCorsHeaders(response, corsHeaders);
+  },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(purgeExpiredTrash(env));
+    if (env.USAGE_KV) ctx.waitUntil(settlePendingUploads(env));
   },
 };
 
-async function handleRequest(request, env) {
+// GET paths that are API routes rather than object keys
+const AUTHENTICATED_GET_ROUTES = new Set(["list", "trash", "usage", "audit", "versions"]);
+
+async function handleRequest(request, env, config, ctx) {
   const url = new URL(request.url);
   const pathname = url.pathname;
   const path = pathname.startsWith("/") ? pathname.slice(1) : pathname;
 
   // Public read — no auth required
-  if (request.method === "GET" && !path.startsWith("list")) {
-    return handlePublicGet(request, path, env);
+  const isRead = request.method === "GET" || request.method === "HEAD";
+  if (isRead && !AUTHENTICATED_GET_ROUTES.has(path)) {
+    const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+    const limited = await checkRateLimit(env, `ip:${ip}`, "public");
+    if (limited) return limited;
+    return handlePublicGet(request, path, env, ctx);
   }
 
   const user = await authenticateRequest(request, env);
   if (!user) {
-    return errorResponse(request, 401, "Unauthorized — invalid or missing token");
+    return errorResponse(401, "Unauthorized — invalid or missing token");
   }
 
-  const isAdmin = isAdminUser(user);
+  const limited = await checkRateLimit(env, `user:${user.id}`, "user");
+  if (limited) return limited;
 
   if (request.method === "GET" && path === "list") {
-    return handleList(request, url, env, user, isAdmin);
+    return handleList(request, url, env, user);
   }
   if (request.method === "POST" && path === "presign") {
-    return handlePresign(request, env, user, isAdmin);
+    return handlePresign(request, env, config, user, ctx);
   }
   if (request.method === "PUT" && path.startsWith("upload/")) {
     const objectKey = decodeURIComponent(path.slice("upload/".length));
-    return handleUpload(request, objectKey, env, user, isAdmin);
+    return handleUpload(request, objectKey, env, config, user, ctx);
   }
   if (request.method === "DELETE" && path.startsWith("delete/")) {
     const objectKey = decodeURIComponent(path.slice("delete/".length));
-    return handleDelete(request, objectKey, env, user, isAdmin);
+    return handleDelete(request, objectKey, env, user, ctx);
+  }
+  if (path.startsWith("multipart/")) {
+    return handleMultipart(request, path.slice("multipart/".length), url, env, config, user, ctx);
+  }
+  if (request.method === "GET" && path === "usage") {
+    return handleUsage(env, user);
+  }
+  if (request.method === "GET" && path === "trash") {
+    return handleTrashList(request, url, env, user);
+  }
+  if (request.method === "POST" && path.startsWith("trash/restore/")) {
+    const objectKey = decodeURIComponent(path.slice("trash/restore/".length));
+    return handleTrashRestore(request, objectKey, url, env, config, user, ctx);
+  }
+  if (request.method === "DELETE" && path.startsWith("trash/purge/")) {
+    const objectKey = decodeURIComponent(path.slice("trash/purge/".length));
+    return handleTrashPurge(request, objectKey, url, env, user, ctx);
+  }
+  if (request.method === "POST" && path === "batch/delete") {
+    return handleBatchDelete(request, env, user, ctx);
+  }
+  if (request.method === "POST" && path === "batch/copy") {
+    return handleBatchCopy(request, env, user, ctx);
+  }
+  if (request.method === "GET" && path === "audit") {
+    return handleAuditQuery(url, env, user);
+  }
+  if (request.method === "POST" && path === "sign") {
+    return handleSignDownload(request, env, user, ctx);
+  }
+  if (request.method === "GET" && path === "versions") {
+    return handleVersionList(url, env, user);
+  }
+  if (request.method === "POST" && path.startsWith("versions/restore/")) {
+    const objectKey = decodeURIComponent(path.slice("versions/restore/".length));
+    return handleVersionRestore(request, objectKey, url, env, config, user, ctx);
+  }
+
+  return errorResponse(404, "Route not found");
+}
+
+// ── Rate limiting ─────────────────────────────────────────────
+//
+// Token buckets: public GETs are keyed by client IP, authenticated routes by
+// user ID. Each bucket holds a minute's worth of requests (the burst) and
+// refills continuously. Buckets live in the RateLimiter Durable Object so
+// every isolate sees the same count; without the binding (local dev) they
+// fall back to per-isolate memory. Limiter failures let the request through.
+
+const DEFAULT_RATE_LIMITS = {
+  public: 300, // requests per minute per IP
+  user: 120,   // requests per minute per user
+};
+
+const localBuckets = new Map();
+const LOCAL_BUCKET_MAX_ENTRIES = 5000;
+
+function getRateLimit(env, scope) {
+  const perMinute =
+    parseInt(env[`RATE_LIMIT_${scope.toUpperCase()}_PER_MINUTE`] || "") ||
+    DEFAULT_RATE_LIMITS[scope];
+  return { capacity: perMinute, refillPerSecond: perMinute / 60 };
+}
+
+/**
+ * Takes one token from the bucket. Returns the updated bucket plus
+ * retryAfter (seconds until a token is available) when it was empty.
+ */
+function takeToken(bucket, capacity, refillPerSecond, now) {
+  const current = bucket || { tokens: capacity, updatedAt: now };
+  const elapsed = Math.max(now - current.updatedAt, 0) / 1000;
+  const tokens = Math.min(capacity, current.tokens + elapsed * refillPerSecond);
+
+  if (tokens < 1) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((1 - tokens) / refillPerSecond),
+      bucket: { tokens, updatedAt: now },
+    };
+  }
+  return { allowed: true, retryAfter: 0, bucket: { tokens: tokens - 1, updatedAt: now } };
+}
+
+// Returns a 429 response when the caller is over the limit, otherwise null
+async function checkRateLimit(env, key, scope) {
+  const { capacity, refillPerSecond } = getRateLimit(env, scope);
+  let result;
+
+  try {
+    if (env.RATE_LIMITER) {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`${scope}:${key}`));
+      const response = await stub.fetch("https://rate-limiter/take", {
+        method: "POST",
+        body: JSON.stringify({ capacity, refillPerSecond }),
+      });
+      result = await response.json();
+    } else {
+      const bucketKey = `${scope}:${key}`;
+      result = takeToken(localBuckets.get(bucketKey), capacity, refillPerSecond, Date.now());
+      localBuckets.delete(bucketKey);
+      if (localBuckets.size >= LOCAL_BUCKET_MAX_ENTRIES) {
+        localBuckets.delete(localBuckets.keys().next().value);
+      }
+      localBuckets.set(bucketKey, result.bucket);
+    }
+  } catch (err) {
+    console.error("Rate limiter error:", err);
+    return null;
+  }
+
+  if (result.allowed) return null;
+  return errorResponse(429, "Too many requests — slow down", {
+    "Retry-After": String(result.retryAfter),
+  });
+}
+
+// The object can be evicted between requests, so the bucket is kept in
+// storage. An idle bucket is full again after a minute, so the alarm then
+// deletes it rather than leaving one stored key behind per caller.
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.bucket = undefined;
+  }
+
+  async fetch(request) {
+    const { capacity, refillPerSecond } = await request.json();
+    if (this.bucket === undefined) this.bucket = (await this.state.storage.get("bucket")) || null;
+
+    const now = Date.now();
+    const result = takeToken(this.bucket, capacity, refillPerSecond, now);
+    this.bucket = result.bucket;
+    await this.state.storage.put("bucket", result.bucket);
+    await this.state.storage.setAlarm(now + Math.ceil(capacity / refillPerSecond) * 1000);
+
+    return new Response(JSON.stringify({ allowed: result.allowed, retryAfter: result.retryAfter }), {
+      headers: { "Content-Type": "application/json" },
+    });
   }
 
-  return errorResponse(request, 404, "Route not found");
+  async alarm() {
+    this.bucket = null;
+    await this.state.storage.deleteAll();
+  }
 }
 
 // ── Auth ──────────────────────────────────────────────────────
+//
+// Supabase access tokens are verified locally — HS256 with the project's JWT
+// secret, or ES256/RS256 against the project's JWKS. The /auth/v1/user round
+// trip is only used when a token cannot be checked locally (no secret
+// configured, JWKS unreachable, unknown kid) and AUTH_REMOTE_FALLBACK allows
+// it. Resolved users are cached per token until it expires (max 60s).
+
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 60 * 1000; // floor between fetches, hit or miss
+const AUTH_CACHE_TTL_MS = 60 * 1000;
+const AUTH_CACHE_MAX_ENTRIES = 500;
+const JWT_CLOCK_SKEW_SECONDS = 30;
+
+const JWT_ALGORITHMS = {
+  ES256: { importParams: { name: "ECDSA", namedCurve: "P-256" }, verifyParams: { name: "ECDSA", hash: "SHA-256" } },
+  RS256: { importParams: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, verifyParams: { name: "RSASSA-PKCS1-v1_5" } },
+};
+
+let jwksCache = null; // { keys, fetchedAt }
+let jwksLastFetchAt = 0;
+const authCache = new Map();
 
 async function authenticateRequest(request, env) {
   const authHeader = request.headers.get("Authorization");
   if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
 
   const token = authHeader.slice(7);
+  const cacheKey = await sha256(token);
+
+  const cached = authCache.get(cacheKey);
+  if (cached) {
+    if (cached.expiresAt > Date.now()) return cached.user;
+    authCache.delete(cacheKey);
+  }
 
+  const { status, claims } = await verifySupabaseJwt(token, env);
+
+  let user = null;
+  if (status === "valid") {
+    user = userFromClaims(claims);
+  } else if (status === "unverifiable" && env.AUTH_REMOTE_FALLBACK !== "false") {
+    user = await fetchSupabaseUser(token, env);
+  }
+  if (!user) return null;
+
+  let expiresAt = Date.now() + AUTH_CACHE_TTL_MS;
+  if (claims?.exp) expiresAt = Math.min(expiresAt, claims.exp * 1000);
+  cacheAuthenticatedUser(cacheKey, user, expiresAt);
+
+  return user;
+}
+
+async function fetchSupabaseUser(token, env) {
   try {
     const response = await fetch(`${env.SUPABASE_URL}/auth/v1/user`, {
       headers: {
@@ -109,250 +397,2306 @@ async function authenticateRequest(request, env) {
   }
 }
 
-function isAdminUser(user) {
-  const role =
-    user?.app_metadata?.role ||
-    user?.user_metadata?.role ||
-    user?.role;
-  return role === "superior_admin";
+function cacheAuthenticatedUser(cacheKey, user, expiresAt) {
+  if (authCache.size >= AUTH_CACHE_MAX_ENTRIES) {
+    // Map preserves insertion order — drop the oldest entry
+    authCache.delete(authCache.keys().next().value);
+  }
+  authCache.set(cacheKey, { user, expiresAt });
 }
 
-function canAccessPath(objectKey, user, isAdmin) {
-  if (isAdmin) return true;
-  if (objectKey.includes("..") || objectKey.includes("//")) return false;
-
-  const userId = user.id;
-  const partnerId = user?.user_metadata?.partner_id;
+// Shape the claims like the /auth/v1/user response so callers don't care
+// which path authenticated the request.
+function userFromClaims(claims) {
+  return {
+    id: claims.sub,
+    email: claims.email || null,
+    role: claims.role,
+    app_metadata: claims.app_metadata || {},
+    user_metadata: claims.user_metadata || {},
+  };
+}
 
-  if (objectKey.startsWith(`users/${userId}/`)) return true;
-  if (partnerId && objectKey.startsWith(`partners/${partnerId}/`)) return true;
+/**
+ * Returns { status, claims } where status is:
+ *   "valid"        — signature and claims check out
+ *   "invalid"      — reject the token outright
+ *   "unverifiable" — no key material to check it locally
+ */
+async function verifySupabaseJwt(token, env) {
+  const parts = token.split(".");
+  if (parts.length !== 3) return { status: "invalid", claims: null };
 
-  return false;
-}
+  let header, claims;
+  try {
+    header = JSON.parse(base64UrlDecodeString(parts[0]));
+    claims = JSON.parse(base64UrlDecodeString(parts[1]));
+  } catch {
+    return { status: "invalid", claims: null };
+  }
 
-// ── Public GET ────────────────────────────────────────────────
+  const signedData = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+  const signature = base64UrlDecode(parts[2]);
 
-async function handlePublicGet(request, objectKey, env) {
-  if (!objectKey) return errorResponse(request, 400, "Missing object key");
-  if (objectKey.includes("..") || objectKey.includes("//")) {
-    return errorResponse(request, 400, "Invalid path");
+  let verified;
+  if (header.alg === "HS256") {
+    if (!env.SUPABASE_JWT_SECRET) return { status: "unverifiable", claims };
+    const key = await crypto.subtle.importKey(
+      "raw", new TextEncoder().encode(env.SUPABASE_JWT_SECRET),
+      { name: "HMAC", hash: "SHA-256" }, false, ["verify"]
+    );
+    verified = await crypto.subtle.verify("HMAC", key, signature, signedData);
+  } else if (JWT_ALGORITHMS[header.alg]) {
+    const jwk = await getJwk(header.kid, env);
+    if (!jwk) return { status: "unverifiable", claims };
+    const algorithm = JWT_ALGORITHMS[header.alg];
+    try {
+      const key = await crypto.subtle.importKey("jwk", jwk, algorithm.importParams, false, ["verify"]);
+      verified = await crypto.subtle.verify(algorithm.verifyParams, key, signature, signedData);
+    } catch {
+      verified = false;
+    }
+  } else {
+    return { status: "invalid", claims: null };
   }
 
-  const object = await env.R2_BUCKET.get(objectKey);
-  if (!object) return errorResponse(request, 404, "Object not found");
+  if (!verified || !areClaimsValid(claims, env)) return { status: "invalid", claims: null };
+  return { status: "valid", claims };
+}
 
-  const headers = new Headers({
-    ...getCorsHeaders(request),
-    "Content-Type": object.httpMetadata?.contentType || "application/octet-stream",
-    "Cache-Control": "public, max-age=31536000, immutable",
-    "ETag": object.httpEtag,
-  });
+function areClaimsValid(claims, env) {
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims.sub) return false;
+  if (typeof claims.exp !== "number" || claims.exp + JWT_CLOCK_SKEW_SECONDS < now) return false;
+  if (typeof claims.nbf === "number" && claims.nbf - JWT_CLOCK_SKEW_SECONDS > now) return false;
 
-  return new Response(object.body, { headers });
+  const expectedAudience = env.SUPABASE_JWT_AUDIENCE || "authenticated";
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  return audiences.includes(expectedAudience);
 }
 
-// ── List ──────────────────────────────────────────────────────
+async function getJwk(kid, env) {
+  const findKey = () => jwksCache?.keys.find((k) => !kid || k.kid === kid) || null;
 
-async function handleList(request, url, env, user, isAdmin) {
-  const prefix = url.searchParams.get("prefix") || "";
-  const maxKeys = Math.min(parseInt(url.searchParams.get("max_keys") || "1000"), 1000);
-
-  if (!isAdmin) {
-    const userId = user.id;
-    const partnerId = user?.user_metadata?.partner_id;
-    const allowedPrefixes = [`users/${userId}/`];
-    if (partnerId) allowedPrefixes.push(`partners/${partnerId}/`);
-    const allowed = allowedPrefixes.some(
-      (p) => prefix.startsWith(p) || p.startsWith(prefix)
-    );
-    if (!allowed) return errorResponse(request, 403, "Access denied to this prefix");
+  const fresh = jwksCache && Date.now() - jwksCache.fetchedAt < JWKS_CACHE_TTL_MS;
+  if (fresh && findKey()) return findKey();
+
+  // Stale cache or unknown kid (keys may have rotated) → refetch, but at
+  // most once a minute so tokens with a made-up kid can't make every
+  // request hit the JWKS endpoint
+  if (Date.now() - jwksLastFetchAt < JWKS_MIN_REFETCH_MS) return findKey();
+  jwksLastFetchAt = Date.now();
+  try {
+    const jwksUrl = env.SUPABASE_JWKS_URL || `${env.SUPABASE_URL}/auth/v1/.well-known/jwks.json`;
+    const response = await fetch(jwksUrl);
+    if (response.ok) {
+      const { keys } = await response.json();
+      if (Array.isArray(keys)) jwksCache = { keys, fetchedAt: Date.now() };
+    }
+  } catch (err) {
+    console.error("JWKS fetch error:", err);
   }
 
-  const listed = await env.R2_BUCKET.list({
-    prefix: prefix || undefined,
-    limit: maxKeys,
+  return findKey();
+}
+
+// Roles live in app_metadata, which only the service role can write.
+// user_metadata is editable by the user and must never grant privileges.
+function getUserRole(user) {
+  return user?.app_metadata?.role || null;
+}
+
+// ── Access policy ─────────────────────────────────────────────
+//
+// Every object-level decision goes through canAccessPath(), which evaluates
+// this table. Each role maps to prefix rules; a rule grants the listed verbs
+// on every key under its prefix. "*" applies to every authenticated user on
+// top of their role, and callers whose role has no entry of its own get the
+// "default" rules. {user_id} and {partner_id} are filled in from the caller —
+// a rule whose placeholder can't be filled is skipped.
+//
+// Verbs: list · upload · delete · presign · read (issue signed links to
+// private objects) · audit (read the audit log).
+// list and audit take a prefix, which may be empty.
+
+const ALL_VERBS = ["list", "upload", "delete", "presign", "read"];
+const PREFIX_VERBS = new Set(["list", "audit"]);
+
+const ACCESS_POLICY = {
+  "*": [
+    { prefix: "users/{user_id}/",         verbs: ALL_VERBS },
+    { prefix: "private/users/{user_id}/", verbs: ALL_VERBS },
+  ],
+  // Regular users; partner owners carry partner_id in their app_metadata
+  default: [
+    { prefix: "partners/{partner_id}/",         verbs: ALL_VERBS },
+    { prefix: "private/partners/{partner_id}/", verbs: ALL_VERBS },
+  ],
+  superior_admin: [
+    { prefix: "", verbs: [...ALL_VERBS, "audit"] },
+  ],
+  catalogue_editor: [
+    { prefix: "products/",   verbs: ALL_VERBS },
+    { prefix: "banners/",    verbs: ALL_VERBS },
+    { prefix: "categories/", verbs: ALL_VERBS },
+  ],
+  partner_staff: [
+    { prefix: "partners/{partner_id}/products/", verbs: ["list", "upload", "presign"] },
+  ],
+};
+
+// Like the role, partner_id is only trusted from app_metadata
+function getPartnerId(user) {
+  return user?.app_metadata?.partner_id || null;
+}
+
+function resolvePolicyRules(user) {
+  const role = getUserRole(user);
+  const roleRules = (role && role !== "*" && ACCESS_POLICY[role]) || ACCESS_POLICY.default;
+  const rules = [...ACCESS_POLICY["*"], ...roleRules];
+  const values = { user_id: user?.id, partner_id: getPartnerId(user) };
+
+  return rules.flatMap((rule) => {
+    let complete = true;
+    const prefix = rule.prefix.replace(/\{(\w+)\}/g, (_, name) => {
+      if (!values[name]) complete = false;
+      return values[name] || "";
+    });
+    return complete ? [{ prefix, verbs: rule.verbs }] : [];
   });
+}
 
-  const objects = listed.objects.map((obj) => ({
-    key: obj.key,
-    size: obj.size,
-    lastModified: obj.uploaded,
-    contentType: obj.httpMetadata?.contentType || null,
-  }));
+/**
+ * Single access evaluator for the worker. For "list" and "audit" the key is
+ * the requested prefix, which must sit inside a granted prefix so a listing
+ * can never return keys the caller has no rights to.
+ */
+function canAccessPath(objectKey, user, verb) {
+  if (typeof objectKey !== "string") return false;
+  if (objectKey.includes("..") || objectKey.includes("//")) return false;
+  if (!PREFIX_VERBS.has(verb) && !objectKey) return false;
 
-  return jsonResponse(request, { objects, truncated: listed.truncated });
+  return resolvePolicyRules(user).some(
+    (rule) => rule.verbs.includes(verb) && objectKey.startsWith(rule.prefix)
+  );
 }
 
-// ── Presign ───────────────────────────────────────────────────
+// ── Public GET ────────────────────────────────────────────────
 
-async function handlePresign(request, env, user, isAdmin) {
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return errorResponse(request, 400, "Invalid JSON body");
+async function handlePublicGet(request, objectKey, env, ctx) {
+  if (!objectKey) return errorResponse(400, "Missing object key");
+  if (objectKey.includes("..") || objectKey.includes("//")) {
+    return errorResponse(400, "Invalid path");
+  }
+  if (objectKey.startsWith(TRASH_PREFIX) || objectKey.startsWith(VERSIONS_PREFIX) ||
+      objectKey.startsWith(UPLOADS_PREFIX)) {
+    return errorResponse(404, "Object not found");
+  }
+  if (objectKey.startsWith(PRIVATE_PREFIX)) {
+    return handlePrivateGet(request, objectKey, env);
   }
 
-  const { object_key, content_type, max_size } = body;
-  if (!object_key || !content_type) {
-    return errorResponse(request, 400, "object_key and content_type are required");
+  if (request.method === "HEAD") {
+    return handlePublicHead(request, objectKey, env);
   }
-  if (!canAccessPath(object_key, user, isAdmin)) {
-    return errorResponse(request, 403, "Access denied to this path");
+
+  const url = new URL(request.url);
+  const transform = parseImageTransform(url, request);
+
+  const cacheKey = edgeCacheKey(url, transform);
+  const cached = await caches.default.match(new Request(cacheKey, { headers: request.headers }));
+  if (cached) return withEdgeCacheStatus(cached, "HIT");
+
+  const response = await readPublicObject(request, objectKey, transform, env);
+  if (response.status === 200) {
+    ctx.waitUntil(caches.default.put(cacheKey, await toEdgeCacheEntry(response.clone(), objectKey)));
+    return withEdgeCacheStatus(response, "MISS");
   }
-  if (!ALLOWED_CONTENT_TYPES.has(content_type.toLowerCase())) {
-    return errorResponse(request, 400, `Content type not allowed: ${content_type}`);
+  return withEdgeCacheStatus(response, "BYPASS");
+}
+
+async function readPublicObject(request, objectKey, transform, env) {
+  if (transform) {
+    const variant = await getImageVariant(request, objectKey, transform, env);
+    if (variant) return variant;
   }
 
+  return readObject(request, objectKey, env);
+}
+
+// A single byte range: "bytes=0-99", "bytes=100-" or "bytes=-100"
+const RANGE_PATTERN = /^bytes=(?:(\d+)-(\d*)|-(\d+))$/;
+
+function isValidRange(header) {
+  const match = RANGE_PATTERN.exec(header.trim());
+  if (!match) return false;
+  return !match[2] || parseInt(match[1]) <= parseInt(match[2]);
+}
+
+// R2 evaluates If-None-Match / If-Modified-Since / If-Match /
+// If-Unmodified-Since and Range straight from the request headers. A Range
+// it can't serve — malformed, several ranges, or past the end — is a 416.
+async function readObject(request, objectKey, env, extraHeaders = {}) {
+  const range = request.headers.get("Range");
+  let object;
   try {
-    const expiresIn = 300;
-    const presignedUrl = await generatePresignedUrl(object_key, content_type, expiresIn, env);
-    return jsonResponse(request, { presignedUrl, expiresIn, objectKey: object_key });
+    if (range && !isValidRange(range)) throw new RangeError(`Invalid range: ${range}`);
+    object = await env.R2_BUCKET.get(objectKey, {
+      onlyIf: request.headers,
+      range: request.headers,
+    });
   } catch (err) {
-    console.error("Presign error:", err);
-    return errorResponse(request, 500, "Failed to generate presigned URL");
+    if (!range) throw err;
+    const head = await env.R2_BUCKET.head(objectKey);
+    if (!head) return errorResponse(404, "Object not found");
+    return errorResponse(416, "Requested range not satisfiable", {
+      "Content-Range": `bytes */${head.size}`,
+    });
   }
+  if (!object) return errorResponse(404, "Object not found");
+
+  return objectResponse(request, object, extraHeaders);
 }
 
-async function generatePresignedUrl(objectKey, contentType, expiresIn, env) {
-  const accountId = env.R2_ACCOUNT_ID;
-  const accessKeyId = env.R2_ACCESS_KEY_ID;
-  const secretAccessKey = env.R2_SECRET_ACCESS_KEY;
-  const bucketName = "subasha-ventures";
-  const region = "auto";
+async function handlePublicHead(request, objectKey, env) {
+  const object = await env.R2_BUCKET.head(objectKey);
+  if (!object) return new Response(null, { status: 404 });
 
-  const host = `${accountId}.r2.cloudflarestorage.com`;
-  const endpoint = `https://${host}/${bucketName}/${objectKey}`;
+  const headers = objectHeaders(object);
+  headers.set("Content-Length", String(object.size));
 
-  const now = new Date();
-  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "").slice(0, 15) + "Z";
-  const dateStamp = amzDate.slice(0, 8);
-  const credentialScope = `${dateStamp}/${region}/s3/aws4_request`;
-  const credential = `${accessKeyId}/${credentialScope}`;
+  const status = isNotModified(request, object) ? 304 : 200;
+  return new Response(null, { status, headers });
+}
 
-  const queryParams = new URLSearchParams({
-    "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
-    "X-Amz-Credential": credential,
-    "X-Amz-Date": amzDate,
-    "X-Amz-Expires": String(expiresIn),
-    "X-Amz-SignedHeaders": "host",
+function objectHeaders(object, extraHeaders = {}) {
+  return new Headers({
+    "Content-Type": object.httpMetadata?.contentType || "application/octet-stream",
+    "Cache-Control": "public, max-age=31536000, immutable",
+    "ETag": object.httpEtag,
+    "Last-Modified": object.uploaded.toUTCString(),
+    "Accept-Ranges": "bytes",
+    "X-Content-Type-Options": "nosniff",
+    ...extraHeaders,
   });
+}
 
-  const canonicalQueryString = queryParams.toString();
-  const canonicalHeaders = `host:${host}\n`;
-  const signedHeaders = "host";
-
-  const canonicalRequest = [
-    "PUT",
-    `/${bucketName}/${objectKey}`,
-    canonicalQueryString,
-    canonicalHeaders,
-    signedHeaders,
-    "UNSIGNED-PAYLOAD",
-  ].join("\n");
+function objectResponse(request, object, extraHeaders = {}) {
+  const headers = objectHeaders(object, extraHeaders);
 
-  const hashedCanonicalRequest = await sha256(canonicalRequest);
-  const stringToSign = [
-    "AWS4-HMAC-SHA256",
-    amzDate,
-    credentialScope,
-    hashedCanonicalRequest,
-  ].join("\n");
+  // A failed precondition comes back from R2 as an object without a body
+  if (!("body" in object)) {
+    const conditionalRead =
+      request.headers.has("If-None-Match") || request.headers.has("If-Modified-Since");
+    return new Response(null, { status: conditionalRead ? 304 : 412, headers });
+  }
 
-  const signingKey = await getSigningKey(secretAccessKey, dateStamp, region);
-  const signature = await hmacHex(signingKey, stringToSign);
-  queryParams.set("X-Amz-Signature", signature);
+  if (object.range && request.headers.has("Range")) {
+    const { offset, length } = resolveRange(object.range, object.size);
+    headers.set("Content-Range", `bytes ${offset}-${offset + length - 1}/${object.size}`);
+    return new Response(object.body, { status: 206, headers });
+  }
 
-  return `${endpoint}?${queryParams.toString()}`;
+  return new Response(object.body, { headers });
 }
 
-// ── Direct Upload ─────────────────────────────────────────────
+// R2 echoes back the range it served as { offset, length } or { suffix }
+function resolveRange(range, size) {
+  if (range.suffix !== undefined) {
+    const length = Math.min(range.suffix, size);
+    return { offset: size - length, length };
+  }
+  const offset = range.offset || 0;
+  const length = range.length !== undefined ? range.length : size - offset;
+  return { offset, length: Math.min(length, size - offset) };
+}
 
-async function handleUpload(request, objectKey, env, user, isAdmin) {
-  if (!objectKey) return errorResponse(request, 400, "Missing object key");
-  if (!canAccessPath(objectKey, user, isAdmin)) {
-    return errorResponse(request, 403, "Access denied to this path");
+function isNotModified(request, object) {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(",").some((tag) => {
+      const value = tag.trim().replace(/^W\//, "");
+      return value === "*" || value === object.httpEtag;
+    });
+  }
+  const ifModifiedSince = Date.parse(request.headers.get("If-Modified-Since") || "");
+  if (!isNaN(ifModifiedSince)) {
+    return Math.floor(object.uploaded.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
   }
+  return false;
+}
 
-  const contentType = request.headers.get("Content-Type") || "";
-  if (!ALLOWED_CONTENT_TYPES.has(contentType.toLowerCase())) {
-    return errorResponse(request, 400, `Content type not allowed: ${contentType}`);
+// ── Private downloads ─────────────────────────────────────────
+//
+// Keys under private/ (invoices, partner KYC documents, …) are never served
+// publicly. POST /sign { object_key, expires_in? } returns a worker URL
+// carrying ?expires=…&signature=…, an HMAC-SHA256 of the key and expiry
+// under DOWNLOAD_SIGNING_SECRET. The GET checks the signature and expiry,
+// and the response is marked uncacheable. expires_in uses the same bounds
+// as /presign.
+
+const PRIVATE_PREFIX = "private/";
+
+const PRIVATE_CONTENT_TYPES = new Set([
+  ...ALLOWED_CONTENT_TYPES,
+  "application/pdf",
+]);
+
+async function signDownload(objectKey, expires, env) {
+  return hmacHex(env.DOWNLOAD_SIGNING_SECRET, `${objectKey}\n${expires}`);
+}
+
+async function handleSignDownload(request, env, user, ctx) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(400, "Invalid JSON body");
   }
 
-  const contentLength = parseInt(request.headers.get("Content-Length") || "0");
-  if (contentLength > MAX_UPLOAD_SIZE) {
-    return errorResponse(request, 413, `File too large. Max is ${MAX_UPLOAD_SIZE / 1024 / 1024} MB`);
+  const { object_key, expires_in } = body;
+  if (!object_key) return errorResponse(400, "object_key is required");
+  if (!object_key.startsWith(PRIVATE_PREFIX)) {
+    return errorResponse(400, "Only private/ objects need signed links");
+  }
+  if (!canAccessPath(object_key, user, "read")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+  if (!env.DOWNLOAD_SIGNING_SECRET) {
+    return errorResponse(503, "Signed downloads are not configured");
   }
 
-  const body = await request.arrayBuffer();
-  if (body.byteLength > MAX_UPLOAD_SIZE) {
-    return errorResponse(request, 413, "File too large");
+  const bounds = getPresignExpiryBounds(env);
+  const expiresIn = expires_in === undefined ? bounds.fallback : Number(expires_in);
+  if (!Number.isInteger(expiresIn) || expiresIn < bounds.min || expiresIn > bounds.max) {
+    return errorResponse(400, `expires_in must be between ${bounds.min} and ${bounds.max} seconds`);
   }
 
-  await env.R2_BUCKET.put(objectKey, body, {
-    httpMetadata: { contentType },
-  });
+  const object = await env.R2_BUCKET.head(object_key);
+  if (!object) return errorResponse(404, "Object not found");
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const signature = await signDownload(object_key, expires, env);
+  const origin = env.R2_PUBLIC_DOMAIN || new URL(request.url).origin;
+  const signedUrl = `${origin}/${encodeS3Path(object_key)}?expires=${expires}&signature=${signature}`;
 
-  return jsonResponse(request, { success: true, objectKey, size: body.byteLength });
+  recordAudit(request, env, ctx, user, auditEntryFor("sign", object_key, object, { expiresIn }));
+
+  return jsonResponse({
+    success: true,
+    url: signedUrl,
+    objectKey: object_key,
+    expiresAt: new Date(expires * 1000).toISOString(),
+  });
 }
 
-// ── Delete ────────────────────────────────────────────────────
+async function handlePrivateGet(request, rawKey, env) {
+  const url = new URL(request.url);
+  let objectKey;
+  try {
+    objectKey = decodeURIComponent(rawKey);
+  } catch {
+    return errorResponse(400, "Invalid object key");
+  }
+  const expires = parseInt(url.searchParams.get("expires") || "");
+  const signature = url.searchParams.get("signature") || "";
+
+  if (!env.DOWNLOAD_SIGNING_SECRET || !expires || !signature) {
+    return errorResponse(403, "A signed link is required for this object");
+  }
+  if (expires < Math.floor(Date.now() / 1000)) {
+    return errorResponse(403, "This link has expired");
+  }
 
-async function handleDelete(request, objectKey, env, user, isAdmin) {
-  if (!objectKey) return errorResponse(request, 400, "Missing object key");
-  if (!canAccessPath(objectKey, user, isAdmin)) {
-    return errorResponse(request, 403, "Access denied to this path");
+  const expected = await signDownload(objectKey, expires, env);
+  if (!timingSafeEqual(expected, signature)) {
+    return errorResponse(403, "Invalid signature");
   }
 
-  await env.R2_BUCKET.delete(objectKey);
-  return jsonResponse(request, { success: true, objectKey });
+  const noStore = { "Cache-Control": "private, no-store" };
+
+  if (request.method === "HEAD") {
+    const head = await env.R2_BUCKET.head(objectKey);
+    if (!head) return new Response(null, { status: 404 });
+    const headers = objectHeaders(head, noStore);
+    headers.set("Content-Length", String(head.size));
+    return new Response(null, { headers });
+  }
+
+  return readObject(request, objectKey, env, noStore);
 }
 
-// ── Crypto helpers ────────────────────────────────────────────
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
 
-async function sha256(message) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(message);
-  const hashBuffer = await crypto.subtle.digest("SHA-256", data);
-  return Array.from(new Uint8Array(hashBuffer))
-    .map((b) => b.toString(16).padStart(2, "0"))
-    .join("");
+// ── Edge cache ────────────────────────────────────────────────
+//
+// Public reads are cached with the Workers Cache API. Entries are stored
+// without CORS headers (they're re-applied per request, so one origin's
+// response never leaks to another) and tagged with a hash of the object key.
+// Writes drop the key from this colo's cache, and — when CF_ZONE_ID and
+// CF_API_TOKEN are set — purge the tag across every colo, which also
+// clears all resized variants of the key.
+//
+// Presigned PUTs and DELETEs bypass the worker, so public keys changed that
+// way stay cached until they expire or another write purges them.
+
+function edgeCacheKey(url, transform) {
+  const base = `${url.origin}${url.pathname}`;
+  if (!transform) return base;
+  // The negotiated format is part of the key because the Cache API ignores Vary: Accept
+  return `${base}?w=${transform.width || ""}&fmt=${transform.format || ""}&q=${transform.quality}`;
 }
 
-async function hmac(key, message) {
-  const encoder = new TextEncoder();
-  const keyData = typeof key === "string" ? encoder.encode(key) : key;
-  const cryptoKey = await crypto.subtle.importKey(
-    "raw", keyData, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
-  );
-  const signature = await crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(message));
-  return new Uint8Array(signature);
+async function edgeCacheTag(objectKey) {
+  return `obj-${(await sha256(objectKey)).slice(0, 32)}`;
 }
 
-async function hmacHex(key, message) {
-  const sig = await hmac(key, message);
-  return Array.from(sig).map((b) => b.toString(16).padStart(2, "0")).join("");
+async function toEdgeCacheEntry(response, objectKey) {
+  const headers = new Headers(response.headers);
+  for (const name of [...headers.keys()]) {
+    if (name.startsWith("access-control-")) headers.delete(name);
+  }
+  headers.delete("Vary");
+  headers.set("Cache-Tag", await edgeCacheTag(objectKey));
+  return new Response(response.body, { status: response.status, headers });
 }
 
-async function getSigningKey(secretKey, dateStamp, region) {
-  const kDate = await hmac(`AWS4${secretKey}`, dateStamp);
-  const kRegion = await hmac(kDate, region);
-  const kService = await hmac(kRegion, "s3");
-  return hmac(kService, "aws4_request");
+function withEdgeCacheStatus(response, status) {
+  const result = new Response(response.body, response);
+  result.headers.delete("Cache-Tag");
+  result.headers.set("X-Cache-Status", status);
+  return result;
+}
+
+async function purgeEdgeCache(request, env, objectKeys) {
+  const origin = new URL(request.url).origin;
+  try {
+    await Promise.all(
+      objectKeys.map((key) => caches.default.delete(`${origin}/${encodeS3Path(key)}`))
+    );
+
+    if (!env.CF_ZONE_ID || !env.CF_API_TOKEN) return;
+
+    const tags = await Promise.all(objectKeys.map(edgeCacheTag));
+    for (let i = 0; i < tags.length; i += 30) {
+      const response = await fetch(
+        `https://api.cloudflare.com/client/v4/zones/${env.CF_ZONE_ID}/purge_cache`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${env.CF_API_TOKEN}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ tags: tags.slice(i, i + 30) }),
+        }
+      );
+      if (!response.ok) console.error("Cache purge failed:", response.status, await response.text());
+    }
+  } catch (err) {
+    console.error("Cache purge error:", err);
+  }
+}
+
+// ── Image variants ────────────────────────────────────────────
+//
+// GET /{key}?w=400&fmt=webp&q=80 serves a resized copy of an image. Each
+// variant is generated once through the Images binding and written back to
+// R2 under .variants/{key}/{sourceEtag}/…, so later requests (and requests
+// after the source is replaced) resolve to the right stored copy.
+
+const VARIANT_PREFIX = ".variants/";
+
+// Requested widths are rounded up to one of these, and qualities snapped
+// to the nearest of VARIANT_QUALITIES, so arbitrary values cannot fill the
+// bucket with near-identical variants.
+const VARIANT_WIDTHS = [64, 128, 200, 320, 400, 640, 800, 1024, 1280, 1600, 1920, 2560];
+const VARIANT_QUALITIES = [50, 65, 80, 90];
+
+const VARIANT_FORMATS = {
+  avif: "image/avif",
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+  png: "image/png",
+};
+
+const DEFAULT_VARIANT_QUALITY = 80;
+
+// When the Images binding fails the original is served in the variant's
+// place. It is only cached briefly so the next attempt can still produce
+// the real variant.
+const VARIANT_FALLBACK_MAX_AGE = 60;
+
+// GIFs are left alone so animation survives.
+const RESIZABLE_CONTENT_TYPES = new Set([
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/webp",
+]);
+
+function parseImageTransform(url, request) {
+  const params = url.searchParams;
+  const rawWidth = params.get("w");
+  const rawFormat = (params.get("fmt") || "").toLowerCase();
+  const rawQuality = params.get("q");
+
+  if (!rawWidth && !rawFormat && !rawQuality) return null;
+
+  let width = null;
+  if (rawWidth) {
+    const requested = parseInt(rawWidth);
+    if (!Number.isFinite(requested) || requested <= 0) return null;
+    width = VARIANT_WIDTHS.find((w) => w >= requested) || VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1];
+  }
+
+  let quality = DEFAULT_VARIANT_QUALITY;
+  if (rawQuality) {
+    const requested = parseInt(rawQuality);
+    if (Number.isFinite(requested)) {
+      quality = VARIANT_QUALITIES.reduce((best, q) =>
+        Math.abs(q - requested) < Math.abs(best - requested) ? q : best
+      );
+    }
+  }
+
+  // No explicit format (or fmt=auto) → negotiate from the Accept header
+  let format = null;
+  let negotiated = false;
+  if (rawFormat && rawFormat !== "auto") {
+    format = rawFormat === "jpg" ? "jpeg" : rawFormat;
+    if (!VARIANT_FORMATS[format]) return null;
+  } else {
+    const accept = request.headers.get("Accept") || "";
+    if (accept.includes("image/avif")) format = "avif";
+    else if (accept.includes("image/webp")) format = "webp";
+    negotiated = true;
+  }
+
+  if (!width && !format) return null;
+  return { width, format, quality, negotiated };
+}
+
+async function getImageVariant(request, objectKey, transform, env) {
+  if (!env.IMAGES || objectKey.startsWith(VARIANT_PREFIX)) return null;
+
+  const source = await env.R2_BUCKET.head(objectKey);
+  if (!source) return null;
+
+  const sourceType = (source.httpMetadata?.contentType || "").toLowerCase();
+  if (!RESIZABLE_CONTENT_TYPES.has(sourceType)) return null;
+
+  const outputType = transform.format ? VARIANT_FORMATS[transform.format] : sourceType;
+  const extension = transform.format || sourceType.split("/")[1];
+  const variantKey =
+    `${VARIANT_PREFIX}${objectKey}/${source.etag}/` +
+    `w${transform.width || "orig"}-q${transform.quality}.${extension}`;
+
+  const extraHeaders = transform.negotiated ? { "Vary": "Origin, Accept" } : {};
+
+  const stored = await env.R2_BUCKET.get(variantKey, { onlyIf: request.headers });
+  if (stored) return objectResponse(request, stored, extraHeaders);
+
+  const original = await env.R2_BUCKET.get(objectKey);
+  if (!original) return null;
+
+  try {
+    let image = env.IMAGES.input(original.body);
+    if (transform.width) {
+      image = image.transform({ width: transform.width, fit: "scale-down" });
+    }
+    const result = await image.output({ format: outputType, quality: transform.quality });
+    const bytes = await result.response().arrayBuffer();
+
+    const variant = await env.R2_BUCKET.put(variantKey, bytes, {
+      httpMetadata: { contentType: result.contentType() },
+      customMetadata: { sourceKey: objectKey, sourceEtag: source.etag },
+    });
+
+    return new Response(bytes, {
+      headers: {
+        "Content-Type": result.contentType(),
+        "Cache-Control": "public, max-age=31536000, immutable",
+        "ETag": variant.httpEtag,
+        ...extraHeaders,
+      },
+    });
+  } catch (err) {
+    // Serve the original rather than failing the request
+    console.error("Image variant error:", err);
+    return readObject(request, objectKey, env, {
+      "Cache-Control": `public, max-age=${VARIANT_FALLBACK_MAX_AGE}`,
+      ...extraHeaders,
+    });
+  }
+}
+
+// ── List ──────────────────────────────────────────────────────
+//
+// GET /list?prefix=…&max_keys=…&cursor=…&delimiter=/
+//          &content_type=image/&uploaded_after=…&uploaded_before=…
+//
+// Pass the returned cursor back to fetch the next page. content_type matches
+// exactly, or by prefix when it ends in "/" (e.g. "image/"). Filters are
+// applied to each page after R2 returns it, so a page can hold fewer than
+// max_keys objects while cursor is still set.
+
+async function handleList(request, url, env, user) {
+  const params = url.searchParams;
+  const prefix = params.get("prefix") || "";
+  const maxKeys = Math.min(parseInt(params.get("max_keys") || "1000") || 1000, 1000);
+  const cursor = params.get("cursor") || undefined;
+  const delimiter = params.get("delimiter") || undefined;
+  const contentTypeFilter = (params.get("content_type") || "").toLowerCase();
+
+  if (delimiter && delimiter !== "/") {
+    return errorResponse(400, "Only \"/\" is supported as a delimiter");
+  }
+
+  const uploadedAfter = parseDateParam(params.get("uploaded_after"));
+  const uploadedBefore = parseDateParam(params.get("uploaded_before"));
+  if (uploadedAfter === undefined || uploadedBefore === undefined) {
+    return errorResponse(400, "uploaded_after and uploaded_before must be ISO-8601 dates");
+  }
+
+  if (!canAccessPath(prefix, user, "list")) {
+    return errorResponse(403, "Access denied to this prefix");
+  }
+
+  let listed;
+  try {
+    listed = await env.R2_BUCKET.list({
+      prefix: prefix || undefined,
+      limit: maxKeys,
+      cursor,
+      delimiter,
+      include: ["httpMetadata"],
+    });
+  } catch (err) {
+    console.error("List error:", err);
+    return errorResponse(400, "Invalid list request — the cursor may have expired");
+  }
+
+  const objects = listed.objects
+    .filter((obj) => {
+      const contentType = (obj.httpMetadata?.contentType || "").toLowerCase();
+      if (contentTypeFilter) {
+        const matches = contentTypeFilter.endsWith("/")
+          ? contentType.startsWith(contentTypeFilter)
+          : contentType === contentTypeFilter;
+        if (!matches) return false;
+      }
+      if (uploadedAfter && obj.uploaded < uploadedAfter) return false;
+      if (uploadedBefore && obj.uploaded > uploadedBefore) return false;
+      return true;
+    })
+    .map((obj) => ({
+      key: obj.key,
+      size: obj.size,
+      lastModified: obj.uploaded,
+      contentType: obj.httpMetadata?.contentType || null,
+    }));
+
+  return jsonResponse({
+    objects,
+    delimitedPrefixes: listed.delimitedPrefixes || [],
+    truncated: listed.truncated,
+    cursor: listed.truncated ? listed.cursor : null,
+  });
+}
+
+// Returns null when absent, undefined when present but unparseable
+function parseDateParam(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// ── Presign ───────────────────────────────────────────────────
+//
+// POST /presign { object_key, method?, content_type?, content_length?, max_size?, expires_in? }
+//
+//   PUT    (default) — content_type and content_length are required and are
+//                      signed into the URL, so the upload must use exactly
+//                      that type and size. content_length must not exceed
+//                      max_size (when given) or MAX_UPLOAD_BYTES. Public
+//                      keys take the image types /upload accepts; private/
+//                      keys only take PRESIGN_PRIVATE_CONTENT_TYPES.
+//   GET    — time-limited read of a private object
+//   DELETE — time-limited delete of a key the caller may delete. The request
+//            goes straight to R2 and skips everything DELETE /delete does:
+//            the object is not moved to trash (so it can't be restored),
+//            its usage is not credited back, no delete is audited (only the
+//            presign is) and the edge cache is not purged. Use /delete
+//            unless a client has to delete without holding a token.
+//
+// expires_in must fall between PRESIGN_MIN_EXPIRY and PRESIGN_MAX_EXPIRY
+// (seconds, set in wrangler.toml); it defaults to PRESIGN_DEFAULT_EXPIRY.
+
+const PRESIGN_PRIVATE_CONTENT_TYPES = new Set([
+  "application/pdf",
+]);
+
+const PRESIGN_METHODS = {
+  PUT: "upload",
+  GET: null,
+  DELETE: "delete",
+};
+
+function getPresignExpiryBounds(env) {
+  const min = parseInt(env.PRESIGN_MIN_EXPIRY || "60");
+  const max = Math.min(parseInt(env.PRESIGN_MAX_EXPIRY || "3600"), 604800); // SigV4 cap: 7 days
+  const fallback = parseInt(env.PRESIGN_DEFAULT_EXPIRY || "300");
+  return { min, max, fallback: Math.min(Math.max(fallback, min), max) };
+}
+
+async function handlePresign(request, env, config, user, ctx) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(400, "Invalid JSON body");
+  }
+
+  const { object_key, content_type, content_length, max_size, expires_in } = body;
+  const method = (body.method || "PUT").toUpperCase();
+
+  if (!object_key) return errorResponse(400, "object_key is required");
+  if (!(method in PRESIGN_METHODS)) {
+    return errorResponse(400, `Unsupported method: ${method}`);
+  }
+
+  const actionVerb = PRESIGN_METHODS[method];
+  if (!canAccessPath(object_key, user, "presign") ||
+      (actionVerb && !canAccessPath(object_key, user, actionVerb))) {
+    return errorResponse(403, "Access denied to this path");
+  }
+
+  const bounds = getPresignExpiryBounds(env);
+  const expiresIn = expires_in === undefined ? bounds.fallback : Number(expires_in);
+  if (!Number.isInteger(expiresIn) || expiresIn < bounds.min || expiresIn > bounds.max) {
+    return errorResponse(400, `expires_in must be between ${bounds.min} and ${bounds.max} seconds`);
+  }
+
+  const signedHeaders = {};
+  if (method === "PUT") {
+    if (!content_type) return errorResponse(400, "content_type is required for PUT");
+    const allowedTypes = object_key.startsWith(PRIVATE_PREFIX) ? PRESIGN_PRIVATE_CONTENT_TYPES : ALLOWED_CONTENT_TYPES;
+    if (!allowedTypes.has(content_type.toLowerCase())) {
+      return errorResponse(400, `Content type not allowed: ${content_type}`);
+    }
+
+    const maxSize = Math.min(Number(max_size) || config.maxUploadSize, config.maxUploadSize);
+    const contentLength = Number(content_length);
+    if (!Number.isInteger(contentLength) || contentLength <= 0) {
+      return errorResponse(400, "content_length is required for PUT");
+    }
+    if (contentLength > maxSize) {
+      return errorResponse(413, `File too large. Max is ${maxSize} bytes`);
+    }
+
+    // The upload itself bypasses the worker, so it is only charged once the
+    // object exists (see settlePendingUploads)
+    const existing = await env.R2_BUCKET.head(object_key);
+    const sizeDelta = contentLength - (existing?.size || 0);
+    const quotaError = await checkQuota(env, object_key, sizeDelta);
+    if (quotaError) return errorResponse(quotaError.status, quotaError.message);
+    await recordPendingUpload(env, object_key, existing, expiresIn);
+
+    signedHeaders["content-type"] = content_type;
+    signedHeaders["content-length"] = String(contentLength);
+  }
+
+  try {
+    const presignedUrl = await generatePresignedUrl(object_key, method, signedHeaders, expiresIn, env, config);
+    recordAudit(request, env, ctx, user, {
+      action: "presign",
+      objectKey: object_key,
+      size: signedHeaders["content-length"] ? Number(signedHeaders["content-length"]) : null,
+      contentType: signedHeaders["content-type"] || null,
+      details: { method, expiresIn },
+    });
+    return jsonResponse({
+      presignedUrl,
+      method,
+      expiresIn,
+      objectKey: object_key,
+      requiredHeaders: signedHeaders,
+    });
+  } catch (err) {
+    console.error("Presign error:", err);
+    return errorResponse(500, "Failed to generate presigned URL");
+  }
+}
+
+/**
+ * Builds a SigV4 query-string presigned URL. Every entry of signedHeaders
+ * (lower-case name → value) is signed alongside host, so the request made
+ * with the URL has to send exactly those header values.
+ */
+async function generatePresignedUrl(objectKey, method, signedHeaders, expiresIn, env, config, now = new Date()) {
+  const accountId = env.R2_ACCOUNT_ID;
+  const accessKeyId = env.R2_ACCESS_KEY_ID;
+  const secretAccessKey = env.R2_SECRET_ACCESS_KEY;
+  const bucketName = config.bucketName;
+  const region = "auto";
+
+  const host = `${accountId}.r2.cloudflarestorage.com`;
+  const canonicalUri = `/${bucketName}/${encodeS3Path(objectKey)}`;
+  const endpoint = `https://${host}${canonicalUri}`;
+
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "").slice(0, 15) + "Z";
+  const dateStamp = amzDate.slice(0, 8);
+  const credentialScope = `${dateStamp}/${region}/s3/aws4_request`;
+  const credential = `${accessKeyId}/${credentialScope}`;
+
+  const headers = { ...signedHeaders, host };
+  const headerNames = Object.keys(headers).sort();
+  const canonicalHeaders = headerNames.map((name) => `${name}:${String(headers[name]).trim()}\n`).join("");
+  const signedHeaderList = headerNames.join(";");
+
+  const queryParams = new URLSearchParams({
+    "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+    "X-Amz-Credential": credential,
+    "X-Amz-Date": amzDate,
+    "X-Amz-Expires": String(expiresIn),
+    "X-Amz-SignedHeaders": signedHeaderList,
+  });
+
+  const canonicalQueryString = queryParams.toString();
+
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQueryString,
+    canonicalHeaders,
+    signedHeaderList,
+    "UNSIGNED-PAYLOAD",
+  ].join("\n");
+
+  const hashedCanonicalRequest = await sha256(canonicalRequest);
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    credentialScope,
+    hashedCanonicalRequest,
+  ].join("\n");
+
+  const signingKey = await getSigningKey(secretAccessKey, dateStamp, region);
+  const signature = await hmacHex(signingKey, stringToSign);
+  queryParams.set("X-Amz-Signature", signature);
+
+  return `${endpoint}?${queryParams.toString()}`;
+}
+
+// S3 canonical URIs encode each path segment (RFC 3986) but keep the slashes
+function encodeS3Path(objectKey) {
+  return objectKey
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    )
+    .join("/");
+}
+
+// ── Direct Upload ─────────────────────────────────────────────
+
+async function handleUpload(request, objectKey, env, config, user, ctx) {
+  if (!objectKey) return errorResponse(400, "Missing object key");
+  if (!canAccessPath(objectKey, user, "upload")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+
+  const contentType = request.headers.get("Content-Type") || "";
+  const isPrivate = objectKey.startsWith(PRIVATE_PREFIX);
+  const allowedTypes = isPrivate ? PRIVATE_CONTENT_TYPES : ALLOWED_CONTENT_TYPES;
+  if (!allowedTypes.has(contentType.toLowerCase())) {
+    return errorResponse(400, `Content type not allowed: ${contentType}`);
+  }
+
+  const contentLength = parseInt(request.headers.get("Content-Length") || "0");
+  if (contentLength > config.maxUploadSize) {
+    return errorResponse(413, `File too large. Max is ${config.maxUploadSize / 1024 / 1024} MB`);
+  }
+
+  const body = await request.arrayBuffer();
+  if (body.byteLength > config.maxUploadSize) {
+    return errorResponse(413, "File too large");
+  }
+
+  // Never trust the declared type — check the bytes and the image header
+  const bytes = new Uint8Array(body);
+  let image = null;
+  if (normalizeImageType(contentType) === "application/pdf") {
+    if (!isPdf(bytes)) {
+      return errorResponse(415, `File content does not match declared type ${contentType}`);
+    }
+  } else {
+    const checked = validateImage(bytes, contentType);
+    if (checked.status) return errorResponse(checked.status, checked.message);
+    image = checked.image;
+  }
+
+  const existing = await env.R2_BUCKET.head(objectKey);
+  const preconditionError = checkWritePreconditions(request, existing);
+  if (preconditionError) return errorResponse(412, preconditionError);
+
+  const sizeDelta = body.byteLength - (existing?.size || 0);
+  const quotaError = await checkQuota(env, objectKey, sizeDelta + versionedBytes(config, objectKey, existing));
+  if (quotaError) return errorResponse(quotaError.status, quotaError.message);
+
+  const previousVersion = existing && isVersioned(config, objectKey)
+    ? await saveVersion(env, config, objectKey, user)
+    : null;
+
+  // onlyIf re-checks If-Match / If-None-Match atomically in case another
+  // write landed after the head() above
+  const stored = await env.R2_BUCKET.put(objectKey, body, {
+    httpMetadata: { contentType },
+    customMetadata: image ? { width: String(image.width), height: String(image.height) } : {},
+    onlyIf: hasWritePreconditions(request) ? request.headers : undefined,
+  });
+  if (!stored) {
+    if (previousVersion) await discardVersion(env, objectKey, previousVersion);
+    return errorResponse(412, "Object was modified by another request");
+  }
+  await recordUsage(env, objectKey, sizeDelta, true);
+  ctx.waitUntil(purgeEdgeCache(request, env, [objectKey]));
+  recordAudit(request, env, ctx, user, {
+    action: existing ? "overwrite" : "upload",
+    objectKey,
+    size: body.byteLength,
+    contentType,
+  });
+
+  return jsonResponse({
+    success: true,
+    objectKey,
+    size: body.byteLength,
+    width: image?.width ?? null,
+    height: image?.height ?? null,
+    etag: stored.httpEtag,
+    previousVersionId: previousVersion?.versionId || null,
+  });
+}
+
+// ── Image inspection ──────────────────────────────────────────
+//
+// Identifies an upload from its magic bytes and reads the pixel dimensions
+// from the image header without decoding it. Returns null for anything that
+// isn't a JPEG, PNG, GIF or WebP.
+
+const MAX_IMAGE_DIMENSION = 10000;
+const MAX_IMAGE_PIXELS = 40_000_000; // guards against decompression bombs
+
+function normalizeImageType(contentType) {
+  const type = contentType.toLowerCase().split(";")[0].trim();
+  return type === "image/jpg" ? "image/jpeg" : type;
+}
+
+function inspectImage(bytes) {
+  const matches = (offset, signature) =>
+    signature.every((b, i) => bytes[offset + i] === b);
+  const ascii = (offset, text) =>
+    matches(offset, [...text].map((c) => c.charCodeAt(0)));
+
+  if (matches(0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { contentType: "image/png", ...readPngSize(bytes) };
+  }
+  if (matches(0, [0xff, 0xd8, 0xff])) {
+    return { contentType: "image/jpeg", ...readJpegSize(bytes) };
+  }
+  if (ascii(0, "GIF87a") || ascii(0, "GIF89a")) {
+    return { contentType: "image/gif", ...readGifSize(bytes) };
+  }
+  if (ascii(0, "RIFF") && ascii(8, "WEBP")) {
+    return { contentType: "image/webp", ...readWebpSize(bytes) };
+  }
+  return null;
+}
+
+/**
+ * Checks that bytes are the declared image type and within the dimension
+ * limits. Returns { status, message } on failure, otherwise { image }.
+ */
+function validateImage(bytes, contentType) {
+  const image = inspectImage(bytes);
+  if (!image || image.contentType !== normalizeImageType(contentType)) {
+    return { status: 415, message: `File content does not match declared type ${contentType}` };
+  }
+  if (!image.width || !image.height) {
+    return { status: 422, message: "Could not read image dimensions" };
+  }
+  if (image.width > MAX_IMAGE_DIMENSION || image.height > MAX_IMAGE_DIMENSION ||
+      image.width * image.height > MAX_IMAGE_PIXELS) {
+    return { status: 422, message: `Image dimensions too large (${image.width}×${image.height})` };
+  }
+  return { image };
+}
+
+function isPdf(bytes) {
+  return String.fromCharCode(...bytes.slice(0, 5)) === "%PDF-";
+}
+
+// MP4 and QuickTime both open with an ISO base media "ftyp" box; WebM is EBML
+function isVideo(bytes, contentType) {
+  if (contentType.toLowerCase() === "video/webm") {
+    return [0x1a, 0x45, 0xdf, 0xa3].every((b, i) => bytes[i] === b);
+  }
+  return String.fromCharCode(...bytes.slice(4, 8)) === "ftyp";
+}
+
+function readPngSize(bytes) {
+  // IHDR is always the first chunk: width and height are big-endian at 16 and 20
+  if (bytes.length < 24) return {};
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+function readGifSize(bytes) {
+  if (bytes.length < 10) return {};
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+}
+
+function readJpegSize(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 2;
+
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) return {};
+    const marker = bytes[offset + 1];
+
+    // Fill bytes and standalone markers carry no length
+    if (marker === 0xff) { offset++; continue; }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+
+    // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { height: view.getUint16(offset + 5), width: view.getUint16(offset + 7) };
+    }
+
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return {};
+}
+
+function readWebpSize(bytes) {
+  if (bytes.length < 30) return {};
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunk = String.fromCharCode(...bytes.slice(12, 16));
+
+  if (chunk === "VP8 ") {
+    // Lossy: 14-bit dimensions after the 9d 01 2a start code
+    if (bytes[23] !== 0x9d || bytes[24] !== 0x01 || bytes[25] !== 0x2a) return {};
+    return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+  }
+  if (chunk === "VP8L") {
+    // Lossless: 0x2f signature, then two 14-bit (size - 1) fields
+    if (bytes[20] !== 0x2f) return {};
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X") {
+    // Extended: 24-bit (size - 1) canvas fields
+    const read24 = (o) => bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16);
+    return { width: read24(24) + 1, height: read24(27) + 1 };
+  }
+  return {};
+}
+
+// ── Quotas ────────────────────────────────────────────────────
+//
+// Objects under [private/]users/{id}/ and [private/]partners/{id}/ count against that user's or
+// partner's storage quota and daily upload count. Usage lives in the
+// USAGE_KV namespace:
+//
+//   usage:{type}:{id}:bytes              → total stored bytes, saved versions included
+//   usage:{type}:{id}:uploads:{YYYY-MM-DD} → uploads that day (expires after 2 days)
+//   pending:{type}:{id}:{key}            → a presigned PUT not yet charged
+//
+// Presigned PUTs go straight to R2, so their size is only known once the
+// object exists. Pending records are settled — charged if the upload has
+// happened, dropped once the URL has expired unused — before every quota
+// check, before a delete and by the daily cron.
+//
+// KV is eventually consistent, so limits are approximate under heavy
+// concurrent uploads. Quotas are skipped when USAGE_KV isn't bound.
+
+const DEFAULT_QUOTAS = {
+  user:    { bytes: 100 * 1024 * 1024,  dailyUploads: 50 },   // 100 MB
+  partner: { bytes: 2 * 1024 * 1024 * 1024, dailyUploads: 500 }, // 2 GB
+};
+
+function getQuotaPrincipal(objectKey) {
+  const match = /^(?:private\/)?(users|partners)\/([^/]+)\//.exec(objectKey);
+  if (!match) return null;
+  return { type: match[1] === "users" ? "user" : "partner", id: match[2] };
+}
+
+function getQuotaLimits(env, type) {
+  const prefix = type === "user" ? "QUOTA_USER" : "QUOTA_PARTNER";
+  return {
+    bytes: parseInt(env[`${prefix}_BYTES`] || "") || DEFAULT_QUOTAS[type].bytes,
+    dailyUploads: parseInt(env[`${prefix}_DAILY_UPLOADS`] || "") || DEFAULT_QUOTAS[type].dailyUploads,
+  };
+}
+
+function usageKeys(principal) {
+  const base = `usage:${principal.type}:${principal.id}`;
+  const today = new Date().toISOString().slice(0, 10);
+  return { bytes: `${base}:bytes`, uploads: `${base}:uploads:${today}` };
+}
+
+async function readUsage(env, principal) {
+  const keys = usageKeys(principal);
+  const [bytes, uploads] = await Promise.all([
+    env.USAGE_KV.get(keys.bytes),
+    env.USAGE_KV.get(keys.uploads),
+  ]);
+  return { usedBytes: parseInt(bytes || "0"), uploadsToday: parseInt(uploads || "0") };
+}
+
+/**
+ * Returns { status, message } when storing sizeDelta more bytes under
+ * objectKey would break its owner's quota, otherwise null. countUpload
+ * also checks the daily upload count.
+ */
+async function checkQuota(env, objectKey, sizeDelta, countUpload = true) {
+  const principal = getQuotaPrincipal(objectKey);
+  if (!env.USAGE_KV || !principal) return null;
+
+  await settlePendingUploads(env, pendingPrefix(principal));
+  const limits = getQuotaLimits(env, principal.type);
+  const usage = await readUsage(env, principal);
+
+  if (countUpload && usage.uploadsToday >= limits.dailyUploads) {
+    return { status: 429, message: `Daily upload limit of ${limits.dailyUploads} reached` };
+  }
+  if (sizeDelta > 0 && usage.usedBytes + sizeDelta > limits.bytes) {
+    return { status: 413, message: "Storage quota exceeded" };
+  }
+  return null;
+}
+
+async function recordUsage(env, objectKey, sizeDelta, countUpload) {
+  const principal = getQuotaPrincipal(objectKey);
+  if (!env.USAGE_KV || !principal) return;
+
+  const keys = usageKeys(principal);
+  const usage = await readUsage(env, principal);
+
+  const writes = [];
+  if (sizeDelta) {
+    writes.push(env.USAGE_KV.put(keys.bytes, String(Math.max(usage.usedBytes + sizeDelta, 0))));
+  }
+  if (countUpload) {
+    writes.push(env.USAGE_KV.put(keys.uploads, String(usage.uploadsToday + 1), {
+      expirationTtl: 2 * 24 * 60 * 60,
+    }));
+  }
+  await Promise.all(writes);
+}
+
+function pendingPrefix(principal) {
+  return `pending:${principal.type}:${principal.id}:`;
+}
+
+// Remembers what a presigned PUT will replace so the upload can be charged later
+async function recordPendingUpload(env, objectKey, existing, expiresIn) {
+  const principal = getQuotaPrincipal(objectKey);
+  if (!env.USAGE_KV || !principal) return;
+
+  const pending = {
+    replacedEtag: existing?.etag || null,
+    replacedSize: existing?.size || 0,
+    expiresAt: Date.now() + expiresIn * 1000,
+  };
+  // Kept past the URL's expiry so the daily cron sees uploads made just before it
+  await env.USAGE_KV.put(pendingPrefix(principal) + objectKey, JSON.stringify(pending), {
+    expirationTtl: expiresIn + 2 * 24 * 60 * 60,
+  });
+}
+
+async function settlePendingUploads(env, prefix = "pending:") {
+  let cursor;
+  do {
+    const listed = await env.USAGE_KV.list({ prefix, cursor });
+    for (const { name } of listed.keys) {
+      const pending = JSON.parse((await env.USAGE_KV.get(name)) || "null");
+      if (!pending) continue;
+
+      const objectKey = name.split(":").slice(3).join(":");
+      const object = await env.R2_BUCKET.head(objectKey);
+      if (object && object.etag !== pending.replacedEtag) {
+        await env.USAGE_KV.delete(name);
+        await recordUsage(env, objectKey, object.size - pending.replacedSize, true);
+      } else if (pending.expiresAt < Date.now()) {
+        await env.USAGE_KV.delete(name);
+      }
+    }
+    cursor = listed.list_complete ? undefined : listed.cursor;
+  } while (cursor);
+}
+
+// GET /usage — quota status for the caller and, if they belong to one, their partner
+async function handleUsage(env, user) {
+  const principals = { user: { type: "user", id: user.id } };
+  const partnerId = getPartnerId(user);
+  if (partnerId) principals.partner = { type: "partner", id: partnerId };
+
+  const result = {};
+  for (const [name, principal] of Object.entries(principals)) {
+    const limits = getQuotaLimits(env, principal.type);
+    if (env.USAGE_KV) await settlePendingUploads(env, pendingPrefix(principal));
+    const usage = env.USAGE_KV
+      ? await readUsage(env, principal)
+      : { usedBytes: 0, uploadsToday: 0 };
+
+    result[name] = {
+      id: principal.id,
+      usedBytes: usage.usedBytes,
+      quotaBytes: limits.bytes,
+      remainingBytes: Math.max(limits.bytes - usage.usedBytes, 0),
+      uploadsToday: usage.uploadsToday,
+      dailyUploadLimit: limits.dailyUploads,
+      remainingUploadsToday: Math.max(limits.dailyUploads - usage.uploadsToday, 0),
+    };
+  }
+
+  return jsonResponse({ success: true, enforced: Boolean(env.USAGE_KV), ...result });
+}
+
+// ── Overwrite protection & versioning ─────────────────────────
+//
+// Uploads honour If-None-Match: * (create only — fail if the key exists)
+// and If-Match: "<etag>" (only replace the version the client last saw);
+// either failing returns 412.
+//
+// Under VERSIONED_PREFIXES, the object being replaced is first copied to
+// .versions/{key}/{versionId} (newest MAX_VERSIONS_PER_KEY kept). Versions
+// of keys nested under {key}/ sit a level deeper, so listings use a "/"
+// delimiter to keep them apart. Versions count against the owner's quota
+// like any other stored bytes: a write that saves one is checked for it too,
+// and pruned versions are credited back.
+//   GET  /versions?key=…                            → prior versions, newest first
+//   POST /versions/restore/{key}?version_id=…       → copy a version back over the key
+
+const VERSIONS_PREFIX = ".versions/";
+
+function normalizeEtag(value) {
+  return value.trim().replace(/^W\//, "").replace(/^"|"$/g, "");
+}
+
+function hasWritePreconditions(request) {
+  return request.headers.has("If-Match") || request.headers.has("If-None-Match");
+}
+
+// Returns an error message when a precondition fails for the current object, otherwise null
+function checkWritePreconditions(request, existing) {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (ifNoneMatch) {
+    const tags = ifNoneMatch.split(",").map(normalizeEtag);
+    if (existing && (tags.includes("*") || tags.includes(existing.etag))) {
+      return "Object already exists";
+    }
+  }
+
+  const ifMatch = request.headers.get("If-Match");
+  if (ifMatch) {
+    const tags = ifMatch.split(",").map(normalizeEtag);
+    if (!existing) return "Object does not exist";
+    if (!tags.includes("*") && !tags.includes(existing.etag)) {
+      return "Object has changed since it was read (ETag mismatch)";
+    }
+  }
+  return null;
+}
+
+function isVersioned(config, objectKey) {
+  return config.versionedPrefixes.some((p) => p === "*" || objectKey.startsWith(p));
+}
+
+function versionPrefixFor(objectKey) {
+  return `${VERSIONS_PREFIX}${objectKey}/`;
+}
+
+// Bytes a write to objectKey adds in .versions/ before it replaces existing
+function versionedBytes(config, objectKey, existing) {
+  return existing && isVersioned(config, objectKey) ? existing.size : 0;
+}
+
+// Copies the current object into .versions/ and prunes the oldest copies
+async function saveVersion(env, config, objectKey, user) {
+  const versionId = timestampId();
+  const versionKey = versionPrefixFor(objectKey) + versionId;
+
+  const saved = await copyObject(env, objectKey, versionKey, (metadata) => ({
+    ...metadata,
+    versionedBy: user.id,
+    versionedAt: new Date().toISOString(),
+  }));
+  if (!saved) return null;
+
+  const listed = await env.R2_BUCKET.list({ prefix: versionPrefixFor(objectKey), delimiter: "/", limit: 1000 });
+  const excess = listed.objects.length - config.maxVersionsPerKey;
+  let prunedBytes = 0;
+  if (excess > 0) {
+    // Version ids start with a timestamp, so the listing is oldest first
+    const pruned = listed.objects.slice(0, excess);
+    await env.R2_BUCKET.delete(pruned.map((o) => o.key));
+    prunedBytes = pruned.reduce((total, o) => total + o.size, 0);
+  }
+  await recordUsage(env, objectKey, saved.size - prunedBytes, false);
+
+  return { key: versionKey, versionId, size: saved.size };
+}
+
+// Undoes saveVersion when the write it was saved for doesn't happen
+async function discardVersion(env, objectKey, version) {
+  await env.R2_BUCKET.delete(version.key);
+  await recordUsage(env, objectKey, -version.size, false);
+}
+
+async function handleVersionList(url, env, user) {
+  const objectKey = url.searchParams.get("key");
+  if (!objectKey) return errorResponse(400, "key is required");
+  if (!canAccessPath(objectKey, user, "list")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+
+  const prefix = versionPrefixFor(objectKey);
+  const listed = await env.R2_BUCKET.list({
+    prefix,
+    delimiter: "/",
+    limit: 1000,
+    include: ["httpMetadata", "customMetadata"],
+  });
+
+  const versions = listed.objects
+    .map((obj) => ({
+      versionId: obj.key.slice(prefix.length),
+      size: obj.size,
+      etag: obj.httpEtag,
+      contentType: obj.httpMetadata?.contentType || null,
+      versionedAt: obj.customMetadata?.versionedAt || obj.uploaded,
+      versionedBy: obj.customMetadata?.versionedBy || null,
+    }))
+    .reverse();
+
+  return jsonResponse({ objectKey, versions });
+}
+
+async function handleVersionRestore(request, objectKey, url, env, config, user, ctx) {
+  if (!objectKey) return errorResponse(400, "Missing object key");
+  if (!canAccessPath(objectKey, user, "upload")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+
+  const versionId = url.searchParams.get("version_id");
+  if (!versionId || versionId.includes("/")) {
+    return errorResponse(400, "version_id is required");
+  }
+
+  const existing = await env.R2_BUCKET.head(objectKey);
+  const preconditionError = checkWritePreconditions(request, existing);
+  if (preconditionError) return errorResponse(412, preconditionError);
+
+  const version = await env.R2_BUCKET.head(versionPrefixFor(objectKey) + versionId);
+  if (!version) return errorResponse(404, "Version not found");
+
+  // The replaced object is saved as a version whether or not the key is
+  // still under VERSIONED_PREFIXES
+  const sizeDelta = version.size - (existing?.size || 0);
+  const quotaError = await checkQuota(env, objectKey, sizeDelta + (existing?.size || 0), false);
+  if (quotaError) return errorResponse(quotaError.status, quotaError.message);
+
+  // The version being replaced is kept too, so a restore can be undone
+  const previousVersion = existing ? await saveVersion(env, config, objectKey, user) : null;
+
+  const restored = await copyObject(
+    env,
+    versionPrefixFor(objectKey) + versionId,
+    objectKey,
+    ({ versionedBy, versionedAt, ...metadata }) => metadata
+  );
+  if (!restored) {
+    if (previousVersion) await discardVersion(env, objectKey, previousVersion);
+    return errorResponse(404, "Version not found");
+  }
+
+  await recordUsage(env, objectKey, sizeDelta, false);
+  ctx.waitUntil(purgeEdgeCache(request, env, [objectKey]));
+  recordAudit(request, env, ctx, user, auditEntryFor("version.restore", objectKey, restored, { versionId }));
+
+  return jsonResponse({
+    success: true,
+    objectKey,
+    versionId,
+    etag: restored.httpEtag,
+    previousVersionId: previousVersion?.versionId || null,
+  });
+}
+
+// ── Multipart Upload ──────────────────────────────────────────
+//
+//   POST   /multipart/create             { object_key, content_type } → { uploadId }
+//   PUT    /multipart/part/{key}?uploadId=…&partNumber=N   (raw part body) → { partNumber, etag }
+//   POST   /multipart/complete/{key}?uploadId=…   { parts: [{ partNumber, etag }] }
+//   DELETE /multipart/abort/{key}?uploadId=…
+//
+// R2 keeps an upload open until it is completed or aborted, so a client that
+// loses its connection resumes by sending the remaining parts with the same
+// uploadId. The client is responsible for remembering the etags of the parts
+// it has already sent. Each part must declare its Content-Length (411
+// otherwise), which is what the per-part size limit is checked against.
+//
+// Parts go to a staging key under .uploads/. complete() assembles the object
+// there, and it is only moved over {key} once its total size, its first
+// bytes (the same type and dimension checks as /upload) and the quota have
+// been checked, so a rejected upload is never readable and never replaces
+// the current file.
+
+const UPLOADS_PREFIX = ".uploads/";
+const SNIFF_BYTES = 256 * 1024; // reaches the dimensions in any image header
+
+function stagingKeyFor(objectKey) {
+  return UPLOADS_PREFIX + objectKey;
+}
+
+async function handleMultipart(request, route, url, env, config, user, ctx) {
+  if (request.method === "POST" && route === "create") {
+    return handleMultipartCreate(request, env, config, user);
+  }
+
+  const [action, ...rest] = route.split("/");
+  const objectKey = decodeURIComponent(rest.join("/"));
+  if (!objectKey) return errorResponse(400, "Missing object key");
+  if (!canAccessPath(objectKey, user, "upload")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+
+  const uploadId = url.searchParams.get("uploadId");
+  if (!uploadId) return errorResponse(400, "uploadId is required");
+
+  const upload = env.R2_BUCKET.resumeMultipartUpload(stagingKeyFor(objectKey), uploadId);
+
+  if (request.method === "PUT" && action === "part") {
+    return handleMultipartPart(request, upload, url, config);
+  }
+  if (request.method === "POST" && action === "complete") {
+    return handleMultipartComplete(request, upload, objectKey, env, config, user, ctx);
+  }
+  if (request.method === "DELETE" && action === "abort") {
+    try {
+      await upload.abort();
+    } catch (err) {
+      console.error("Multipart abort error:", err);
+      return errorResponse(400, "Failed to abort upload");
+    }
+    return jsonResponse({ success: true, objectKey, uploadId });
+  }
+
+  return errorResponse(404, "Route not found");
+}
+
+async function handleMultipartCreate(request, env, config, user) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(400, "Invalid JSON body");
+  }
+
+  const { object_key, content_type } = body;
+  if (!object_key || !content_type) {
+    return errorResponse(400, "object_key and content_type are required");
+  }
+  if (!canAccessPath(object_key, user, "upload")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+  if (!ALLOWED_MULTIPART_CONTENT_TYPES.has(content_type.toLowerCase())) {
+    return errorResponse(400, `Content type not allowed: ${content_type}`);
+  }
+
+  // Size is only known on complete; only the daily upload count is checked here
+  const quotaError = await checkQuota(env, object_key, 0);
+  if (quotaError) return errorResponse(quotaError.status, quotaError.message);
+
+  const upload = await env.R2_BUCKET.createMultipartUpload(stagingKeyFor(object_key), {
+    httpMetadata: { contentType: content_type },
+  });
+
+  return jsonResponse({
+    success: true,
+    objectKey: object_key,
+    uploadId: upload.uploadId,
+    minPartSize: MIN_PART_SIZE,
+    maxPartSize: config.maxPartSize,
+  });
+}
+
+async function handleMultipartPart(request, upload, url, config) {
+  const partNumber = parseInt(url.searchParams.get("partNumber") || "0");
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_COUNT) {
+    return errorResponse(400, `partNumber must be between 1 and ${MAX_PART_COUNT}`);
+  }
+
+  // The runtime holds the body to its declared length, so the limit only
+  // needs checking against the header
+  const contentLength = parseInt(request.headers.get("Content-Length") || "");
+  if (!Number.isInteger(contentLength)) {
+    return errorResponse(411, "Content-Length is required for each part");
+  }
+  if (contentLength > config.maxPartSize) {
+    return errorResponse(413, `Part too large. Max is ${config.maxPartSize / 1024 / 1024} MB`);
+  }
+  if (!request.body) return errorResponse(400, "Missing part body");
+
+  try {
+    const part = await upload.uploadPart(partNumber, request.body);
+    return jsonResponse({
+      success: true,
+      uploadId: upload.uploadId,
+      partNumber: part.partNumber,
+      etag: part.etag,
+    });
+  } catch (err) {
+    console.error("Multipart part error:", err);
+    return errorResponse(400, "Failed to upload part — the upload may have been completed or aborted");
+  }
+}
+
+async function handleMultipartComplete(request, upload, objectKey, env, config, user, ctx) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(400, "Invalid JSON body");
+  }
+
+  const parts = Array.isArray(body?.parts) ? body.parts : null;
+  if (!parts || parts.length === 0) {
+    return errorResponse(400, "parts is required");
+  }
+  if (parts.some((p) => !Number.isInteger(p?.partNumber) || typeof p?.etag !== "string")) {
+    return errorResponse(400, "Each part needs a numeric partNumber and an etag");
+  }
+
+  // R2 can't apply conditions to the final move, so this check isn't atomic
+  const existing = await env.R2_BUCKET.head(objectKey);
+  const preconditionError = checkWritePreconditions(request, existing);
+  if (preconditionError) return errorResponse(412, preconditionError);
+
+  let staged;
+  try {
+    staged = await upload.complete(
+      [...parts]
+        .sort((a, b) => a.partNumber - b.partNumber)
+        .map((p) => ({ partNumber: p.partNumber, etag: p.etag }))
+    );
+  } catch (err) {
+    console.error("Multipart complete error:", err);
+    return errorResponse(400, "Failed to complete upload");
+  }
+
+  // Part sizes are checked as they arrive; the total is only known here.
+  if (staged.size > config.maxMultipartSize) {
+    await env.R2_BUCKET.delete(staged.key);
+    return errorResponse(413, `File too large. Max is ${config.maxMultipartSize / 1024 / 1024} MB`);
+  }
+
+  const checked = await inspectStagedUpload(env, staged);
+  if (checked.status) {
+    await env.R2_BUCKET.delete(staged.key);
+    return errorResponse(checked.status, checked.message);
+  }
+
+  const sizeDelta = staged.size - (existing?.size || 0);
+  const sizeError = await checkQuota(env, objectKey, sizeDelta + versionedBytes(config, objectKey, existing), false);
+  if (sizeError) {
+    await env.R2_BUCKET.delete(staged.key);
+    return errorResponse(sizeError.status, sizeError.message);
+  }
+
+  // Only now is the upload certain to replace the object
+  const previousVersion = existing && isVersioned(config, objectKey)
+    ? await saveVersion(env, config, objectKey, user)
+    : null;
+
+  const { image } = checked;
+  const object = await moveObject(env, staged.key, objectKey, (metadata) =>
+    image ? { ...metadata, width: String(image.width), height: String(image.height) } : metadata
+  );
+  if (!object) {
+    if (previousVersion) await discardVersion(env, objectKey, previousVersion);
+    return errorResponse(400, "Failed to complete upload");
+  }
+
+  await recordUsage(env, objectKey, sizeDelta, true);
+  ctx.waitUntil(purgeEdgeCache(request, env, [objectKey]));
+  recordAudit(request, env, ctx, user, {
+    action: existing ? "overwrite" : "upload",
+    objectKey,
+    size: object.size,
+    contentType: object.httpMetadata?.contentType || null,
+    details: { multipart: true, uploadId: upload.uploadId },
+  });
+
+  return jsonResponse({
+    success: true,
+    objectKey: object.key,
+    size: object.size,
+    etag: object.httpEtag,
+    previousVersionId: previousVersion?.versionId || null,
+  });
+}
+
+// Returns { status, message } when the assembled file isn't what it was
+// declared as, otherwise { image } (null for videos)
+async function inspectStagedUpload(env, staged) {
+  const contentType = staged.httpMetadata?.contentType || "";
+  const length = Math.min(staged.size, SNIFF_BYTES);
+  const head = length ? await env.R2_BUCKET.get(staged.key, { range: { offset: 0, length } }) : null;
+  const bytes = head ? new Uint8Array(await head.arrayBuffer()) : new Uint8Array(0);
+
+  if (contentType.toLowerCase().startsWith("video/")) {
+    return isVideo(bytes, contentType)
+      ? { image: null }
+      : { status: 415, message: `File content does not match declared type ${contentType}` };
+  }
+  return validateImage(bytes, contentType);
+}
+
+// ── Delete ────────────────────────────────────────────────────
+//
+// Deletes are soft: every delete moves the object to its own
+// trash/{key}/{deletionId} copy, with the original key, the deleter and the
+// time recorded in its custom metadata, so deleting a key again never
+// replaces an earlier copy. Trashed objects can be listed, restored or
+// purged, and the cron trigger purges anything older than
+// TRASH_RETENTION_DAYS.
+// Restore and purge take an optional deletion_id; without one, restore
+// takes the newest copy of the key and purge removes every copy.
+
+const TRASH_PREFIX = "trash/";
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+function trashPrefixFor(objectKey) {
+  return `${TRASH_PREFIX}${objectKey}/`;
+}
+
+// Copies of exactly objectKey, oldest first. The delimiter leaves out the
+// copies of keys nested under {key}/, which sit a level deeper.
+async function listTrashedCopies(env, objectKey) {
+  const copies = [];
+  let cursor;
+  do {
+    const listed = await env.R2_BUCKET.list({
+      prefix: trashPrefixFor(objectKey),
+      delimiter: "/",
+      cursor,
+      include: ["customMetadata"],
+    });
+    copies.push(...listed.objects.filter((obj) => obj.customMetadata?.originalKey === objectKey));
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+  return copies;
+}
+
+// The copy named by deletionId, or the newest copy when it is absent
+async function findTrashedCopy(env, objectKey, deletionId) {
+  if (!deletionId) return (await listTrashedCopies(env, objectKey)).at(-1) || null;
+  if (deletionId.includes("/")) return null;
+
+  const copy = await env.R2_BUCKET.head(trashPrefixFor(objectKey) + deletionId);
+  return copy?.customMetadata?.originalKey === objectKey ? copy : null;
+}
+
+async function handleDelete(request, objectKey, env, user, ctx) {
+  if (!objectKey) return errorResponse(400, "Missing object key");
+  if (objectKey.startsWith(TRASH_PREFIX)) {
+    return errorResponse(400, "Use /trash/purge to remove trashed objects");
+  }
+  if (!canAccessPath(objectKey, user, "delete")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+
+  const trashed = await trashObject(env, objectKey, user);
+  if (!trashed) return errorResponse(404, "Object not found");
+  ctx.waitUntil(purgeEdgeCache(request, env, [objectKey]));
+  recordAudit(request, env, ctx, user, auditEntryFor("delete", objectKey, trashed));
+
+  return jsonResponse({
+    success: true,
+    objectKey,
+    trashKey: trashed.key,
+    deletionId: trashed.key.slice(trashPrefixFor(objectKey).length),
+  });
+}
+
+async function trashObject(env, objectKey, user) {
+  // A presigned upload has to be charged before its size can be released
+  const principal = getQuotaPrincipal(objectKey);
+  if (env.USAGE_KV && principal) await settlePendingUploads(env, pendingPrefix(principal) + objectKey);
+
+  const trashKey = trashPrefixFor(objectKey) + timestampId();
+  const trashed = await moveObject(env, objectKey, trashKey, (metadata) => ({
+    ...metadata,
+    originalKey: objectKey,
+    deletedBy: user.id,
+    deletedAt: new Date().toISOString(),
+  }));
+  if (!trashed) return null;
+
+  // Trashed objects don't count against the owner's quota
+  await recordUsage(env, objectKey, -trashed.size, false);
+  return trashed;
+}
+
+// GET /trash?prefix=users/{id}/&cursor=… — prefix is the original key prefix
+async function handleTrashList(request, url, env, user) {
+  const prefix = url.searchParams.get("prefix") || "";
+  const cursor = url.searchParams.get("cursor") || undefined;
+
+  if (!canAccessPath(prefix, user, "list")) {
+    return errorResponse(403, "Access denied to this prefix");
+  }
+
+  let listed;
+  try {
+    listed = await env.R2_BUCKET.list({
+      prefix: TRASH_PREFIX + prefix,
+      limit: 1000,
+      cursor,
+      include: ["httpMetadata", "customMetadata"],
+    });
+  } catch (err) {
+    console.error("Trash list error:", err);
+    return errorResponse(400, "Invalid list request — the cursor may have expired");
+  }
+
+  // Listing trash/{prefix} also matches the copies of a key that equals the
+  // prefix minus its slash, so the original key decides what's included
+  const objects = listed.objects
+    .filter((obj) => obj.customMetadata?.originalKey?.startsWith(prefix))
+    .map((obj) => ({
+      key: obj.customMetadata.originalKey,
+      deletionId: obj.key.slice(trashPrefixFor(obj.customMetadata.originalKey).length),
+      trashKey: obj.key,
+      size: obj.size,
+      contentType: obj.httpMetadata?.contentType || null,
+      deletedBy: obj.customMetadata.deletedBy || null,
+      deletedAt: obj.customMetadata.deletedAt || obj.uploaded,
+    }));
+
+  return jsonResponse({
+    objects,
+    truncated: listed.truncated,
+    cursor: listed.truncated ? listed.cursor : null,
+  });
+}
+
+// POST /trash/restore/{key}?deletion_id=…&overwrite=true
+async function handleTrashRestore(request, objectKey, url, env, config, user, ctx) {
+  if (!objectKey) return errorResponse(400, "Missing object key");
+  if (!canAccessPath(objectKey, user, "upload")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+
+  const existing = await env.R2_BUCKET.head(objectKey);
+  if (existing && url.searchParams.get("overwrite") !== "true") {
+    return errorResponse(409, "An object already exists at this key — pass overwrite=true to replace it");
+  }
+
+  const trashed = await findTrashedCopy(env, objectKey, url.searchParams.get("deletion_id"));
+  if (!trashed) return errorResponse(404, "Object not found in trash");
+
+  // Overwriting is a write like any other: the replaced object's bytes are
+  // released and, under a versioned prefix, it is kept as a version first
+  const sizeDelta = trashed.size - (existing?.size || 0);
+  const quotaError = await checkQuota(env, objectKey, sizeDelta + versionedBytes(config, objectKey, existing), false);
+  if (quotaError) return errorResponse(quotaError.status, quotaError.message);
+
+  const previousVersion = existing && isVersioned(config, objectKey)
+    ? await saveVersion(env, config, objectKey, user)
+    : null;
+
+  const restored = await moveObject(
+    env,
+    trashed.key,
+    objectKey,
+    ({ originalKey, deletedBy, deletedAt, ...metadata }) => metadata
+  );
+  if (!restored) {
+    if (previousVersion) await discardVersion(env, objectKey, previousVersion);
+    return errorResponse(404, "Object not found in trash");
+  }
+  await recordUsage(env, objectKey, sizeDelta, false);
+  ctx.waitUntil(purgeEdgeCache(request, env, [objectKey]));
+  recordAudit(request, env, ctx, user, auditEntryFor("restore", objectKey, restored, existing ? { overwrite: true } : null));
+
+  return jsonResponse({
+    success: true,
+    objectKey,
+    deletionId: trashed.key.slice(trashPrefixFor(objectKey).length),
+    previousVersionId: previousVersion?.versionId || null,
+  });
+}
+
+// DELETE /trash/purge/{key}?deletion_id=…
+async function handleTrashPurge(request, objectKey, url, env, user, ctx) {
+  if (!objectKey) return errorResponse(400, "Missing object key");
+  if (!canAccessPath(objectKey, user, "delete")) {
+    return errorResponse(403, "Access denied to this path");
+  }
+
+  const deletionId = url.searchParams.get("deletion_id");
+  let copies;
+  if (deletionId) {
+    const copy = await findTrashedCopy(env, objectKey, deletionId);
+    copies = copy ? [copy] : [];
+  } else {
+    copies = await listTrashedCopies(env, objectKey);
+  }
+  if (copies.length === 0) return errorResponse(404, "Object not found in trash");
+
+  for (const copy of copies) await purgeObject(env, copy.key, objectKey);
+  recordAudit(request, env, ctx, user, copies.map((copy) =>
+    auditEntryFor("purge", objectKey, copy, { deletionId: copy.key.slice(trashPrefixFor(objectKey).length) })
+  ));
+  return jsonResponse({ success: true, objectKey, purged: copies.length });
+}
+
+// Removes a trashed copy and, unless the key has been re-uploaded since,
+// the image variants generated from it.
+async function purgeObject(env, trashKey, objectKey) {
+  await env.R2_BUCKET.delete(trashKey);
+  if (await env.R2_BUCKET.head(objectKey)) return;
+
+  let cursor;
+  do {
+    const listed = await env.R2_BUCKET.list({ prefix: `${VARIANT_PREFIX}${objectKey}/`, cursor });
+    if (listed.objects.length) await env.R2_BUCKET.delete(listed.objects.map((o) => o.key));
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+}
+
+async function purgeExpiredTrash(env) {
+  const retentionDays = parseInt(env.TRASH_RETENTION_DAYS || "") || DEFAULT_TRASH_RETENTION_DAYS;
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  let purged = 0;
+  let cursor;
+
+  do {
+    const listed = await env.R2_BUCKET.list({
+      prefix: TRASH_PREFIX,
+      cursor,
+      limit: 1000,
+      include: ["customMetadata"],
+    });
+    // The trashed copy is written at delete time, so uploaded == deletedAt
+    for (const obj of listed.objects) {
+      const originalKey = obj.customMetadata?.originalKey;
+      if (originalKey && obj.uploaded.getTime() < cutoff) {
+        await purgeObject(env, obj.key, originalKey);
+        purged++;
+      }
+    }
+    cursor = listed.truncated ? listed.cursor : undefined;
+  } while (cursor);
+
+  console.log(`Trash purge: removed ${purged} object(s) older than ${retentionDays} days`);
+}
+
+// ── Batch ─────────────────────────────────────────────────────
+//
+//   POST /batch/delete { keys: [...] } or { prefix }
+//   POST /batch/copy   { keys: [...] } or { prefix }, destination_prefix, move?, overwrite?
+//
+// Copied keys keep their path relative to prefix, or just their file name
+// when given as a key list; keys whose file names collide are all refused
+// rather than overwriting each other. Private objects and the worker's own
+// trash/, .versions/, .variants/ and .uploads/ keys are never copied. Every
+// key is checked with canAccessPath on its own and the response reports
+// each one; a failed key doesn't stop the rest.
+
+const MAX_BATCH_KEYS = 1000;
+const UNCOPYABLE_PREFIXES = [PRIVATE_PREFIX, VERSIONS_PREFIX, VARIANT_PREFIX, UPLOADS_PREFIX];
+
+async function readBatchRequest(request, env, user) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return { error: "Invalid JSON body" };
+  }
+
+  const { keys, prefix } = body || {};
+  if (Array.isArray(keys)) {
+    if (keys.length === 0) return { error: "keys must not be empty" };
+    if (keys.length > MAX_BATCH_KEYS) return { error: `At most ${MAX_BATCH_KEYS} keys per batch` };
+    if (keys.some((k) => typeof k !== "string" || !k)) return { error: "keys must be non-empty strings" };
+    return { body, keys: [...new Set(keys)], truncated: false };
+  }
+
+  if (typeof prefix === "string" && prefix) {
+    if (!canAccessPath(prefix, user, "list")) return { status: 403, error: "Access denied to this prefix" };
+    const listed = await env.R2_BUCKET.list({ prefix, limit: MAX_BATCH_KEYS });
+    return { body, keys: listed.objects.map((o) => o.key), truncated: listed.truncated };
+  }
+
+  return { error: "Provide either keys or prefix" };
+}
+
+async function handleBatchDelete(request, env, user, ctx) {
+  const batch = await readBatchRequest(request, env, user);
+  if (batch.error) return errorResponse(batch.status || 400, batch.error);
+
+  const results = [];
+  const auditEntries = [];
+  for (const key of batch.keys) {
+    if (key.startsWith(TRASH_PREFIX)) {
+      results.push({ key, success: false, error: "Use /trash/purge to remove trashed objects" });
+    } else if (!canAccessPath(key, user, "delete")) {
+      results.push({ key, success: false, error: "Access denied" });
+    } else {
+      const trashed = await trashObject(env, key, user);
+      results.push(trashed ? { key, success: true } : { key, success: false, error: "Object not found" });
+      if (trashed) auditEntries.push(auditEntryFor("delete", key, trashed, { batch: true }));
+    }
+  }
+
+  const deleted = results.filter((r) => r.success).map((r) => r.key);
+  if (deleted.length) ctx.waitUntil(purgeEdgeCache(request, env, deleted));
+  recordAudit(request, env, ctx, user, auditEntries);
+
+  return batchResponse(results, batch.truncated);
+}
+
+async function handleBatchCopy(request, env, user, ctx) {
+  const batch = await readBatchRequest(request, env, user);
+  if (batch.error) return errorResponse(batch.status || 400, batch.error);
+
+  const { prefix, destination_prefix, move = false, overwrite = false } = batch.body;
+  if (typeof destination_prefix !== "string" || !destination_prefix.endsWith("/")) {
+    return errorResponse(400, "destination_prefix is required and must end with /");
+  }
+
+  const sourceVerb = move ? "delete" : "list";
+  const results = [];
+  const auditEntries = [];
+
+  const destinationFor = (key) =>
+    destination_prefix + (Array.isArray(batch.body.keys) ? key.split("/").pop() : key.slice(prefix.length));
+  const destinationCounts = new Map();
+  for (const key of batch.keys) {
+    const destination = destinationFor(key);
+    destinationCounts.set(destination, (destinationCounts.get(destination) || 0) + 1);
+  }
+
+  for (const key of batch.keys) {
+    const destination = destinationFor(key);
+    const result = { key, destination, success: false };
+    results.push(result);
+
+    if (key.startsWith(TRASH_PREFIX) || destination.startsWith(TRASH_PREFIX)) {
+      result.error = "Trash keys can't be copied — use /trash/restore";
+      continue;
+    }
+    if (UNCOPYABLE_PREFIXES.some((p) => key.startsWith(p) || destination.startsWith(p))) {
+      result.error = "Private and internal keys can't be copied";
+      continue;
+    }
+    if (destinationCounts.get(destination) > 1) {
+      result.error = "Another key in this batch has the same destination";
+      continue;
+    }
+    if (key === destination) {
+      result.error = "Source and destination are the same";
+      continue;
+    }
+    if (!canAccessPath(key, user, sourceVerb) || !canAccessPath(destination, user, "upload")) {
+      result.error = "Access denied";
+      continue;
+    }
+
+    const source = await env.R2_BUCKET.head(key);
+    if (!source) {
+      result.error = "Object not found";
+      continue;
+    }
+    const existing = await env.R2_BUCKET.head(destination);
+    if (existing && !overwrite) {
+      result.error = "Destination exists — pass overwrite: true to replace it";
+      continue;
+    }
+
+    const sizeDelta = source.size - (existing?.size || 0);
+    const quotaError = await checkQuota(env, destination, sizeDelta, false);
+    if (quotaError) {
+      result.error = quotaError.message;
+      continue;
+    }
+
+    const copied = move
+      ? await moveObject(env, key, destination)
+      : await copyObject(env, key, destination);
+    if (!copied) {
+      result.error = "Object not found";
+      continue;
+    }
+
+    await recordUsage(env, destination, sizeDelta, false);
+    if (move) await recordUsage(env, key, -source.size, false);
+    auditEntries.push(auditEntryFor(move ? "move" : "copy", destination, copied, { source: key }));
+    result.success = true;
+  }
+
+  const touched = results
+    .filter((r) => r.success)
+    .flatMap((r) => (move ? [r.key, r.destination] : [r.destination]));
+  if (touched.length) ctx.waitUntil(purgeEdgeCache(request, env, touched));
+  recordAudit(request, env, ctx, user, auditEntries);
+
+  return batchResponse(results, batch.truncated);
+}
+
+function batchResponse(results, truncated) {
+  const failed = results.filter((r) => !r.success).length;
+  return jsonResponse({
+    success: failed === 0,
+    processed: results.length,
+    succeeded: results.length - failed,
+    failed,
+    truncated,
+    results,
+  });
+}
+
+// ── Audit log ─────────────────────────────────────────────────
+//
+// Every mutating request appends one row per affected key to the audit_log
+// table in the AUDIT_DB D1 database (schema: migrations/0001_audit_log.sql).
+// Writes run after the response via waitUntil; without the binding (local
+// dev) entries go to the console instead.
+//
+// GET /audit?key=…|key_prefix=…&user_id=…&action=…&from=…&to=…&limit=…&before=…
+// is restricted to roles holding the "audit" verb. Results are newest first;
+// pass the returned cursor as before= for the next page.
+
+const MAX_AUDIT_PAGE = 500;
+
+function auditEntryFor(action, objectKey, object, details = null) {
+  return {
+    action,
+    objectKey,
+    size: object?.size ?? null,
+    contentType: object?.httpMetadata?.contentType || null,
+    details,
+  };
+}
+
+function recordAudit(request, env, ctx, user, entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) return;
+
+  const createdAt = new Date().toISOString();
+  const ip = request.headers.get("CF-Connecting-IP") || null;
+  const role = getUserRole(user);
+  const rows = list.map((entry) => ({
+    created_at: createdAt,
+    action: entry.action,
+    user_id: user.id,
+    role,
+    object_key: entry.objectKey,
+    size: entry.size ?? null,
+    content_type: entry.contentType || null,
+    ip,
+    details: entry.details ? JSON.stringify(entry.details) : null,
+  }));
+
+  if (!env.AUDIT_DB) {
+    for (const row of rows) console.log("audit", JSON.stringify(row));
+    return;
+  }
+
+  const statement = env.AUDIT_DB.prepare(
+    `INSERT INTO audit_log (created_at, action, user_id, role, object_key, size, content_type, ip, details)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const write = env.AUDIT_DB
+    .batch(rows.map((r) => statement.bind(
+      r.created_at, r.action, r.user_id, r.role, r.object_key, r.size, r.content_type, r.ip, r.details
+    )))
+    .catch((err) => {
+      // Don't lose the trail if D1 is unavailable
+      console.error("Audit write error:", err);
+      for (const row of rows) console.log("audit", JSON.stringify(row));
+    });
+  ctx.waitUntil(write);
+}
+
+async function handleAuditQuery(url, env, user) {
+  const params = url.searchParams;
+  const key = params.get("key");
+  const keyPrefix = params.get("key_prefix");
+
+  if (!canAccessPath(key || keyPrefix || "", user, "audit")) {
+    return errorResponse(403, "Access denied to the audit log");
+  }
+  if (!env.AUDIT_DB) return errorResponse(503, "Audit log is not configured");
+
+  const from = parseDateParam(params.get("from"));
+  const to = parseDateParam(params.get("to"));
+  if (from === undefined || to === undefined) {
+    return errorResponse(400, "from and to must be ISO-8601 dates");
+  }
+
+  const conditions = [];
+  const bindings = [];
+  if (key) {
+    conditions.push("object_key = ?");
+    bindings.push(key);
+  } else if (keyPrefix) {
+    conditions.push("substr(object_key, 1, ?) = ?");
+    bindings.push(keyPrefix.length, keyPrefix);
+  }
+  if (params.get("user_id")) {
+    conditions.push("user_id = ?");
+    bindings.push(params.get("user_id"));
+  }
+  if (params.get("action")) {
+    conditions.push("action = ?");
+    bindings.push(params.get("action"));
+  }
+  if (from) {
+    conditions.push("created_at >= ?");
+    bindings.push(from.toISOString());
+  }
+  if (to) {
+    conditions.push("created_at <= ?");
+    bindings.push(to.toISOString());
+  }
+  const before = parseInt(params.get("before") || "");
+  if (before) {
+    conditions.push("id < ?");
+    bindings.push(before);
+  }
+
+  const limit = Math.min(parseInt(params.get("limit") || "100") || 100, MAX_AUDIT_PAGE);
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const { results } = await env.AUDIT_DB
+    .prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`)
+    .bind(...bindings, limit + 1)
+    .all();
+
+  const entries = results.slice(0, limit).map((row) => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null,
+  }));
+  const hasMore = results.length > limit;
+
+  return jsonResponse({
+    entries,
+    cursor: hasMore ? String(entries[entries.length - 1].id) : null,
+  });
+}
+
+// ── Object copy helpers ───────────────────────────────────────
+//
+// R2 has no server-side copy, so the body is streamed into the new key.
+// mapMetadata receives the source's custom metadata and returns the
+// metadata to store on the copy.
+
+async function copyObject(env, sourceKey, destKey, mapMetadata = (metadata) => metadata) {
+  const source = await env.R2_BUCKET.get(sourceKey);
+  if (!source) return null;
+
+  return env.R2_BUCKET.put(destKey, source.body, {
+    httpMetadata: source.httpMetadata,
+    customMetadata: mapMetadata({ ...source.customMetadata }),
+  });
+}
+
+// Sorts by creation time; the random suffix keeps ids made in the same
+// millisecond apart
+function timestampId(date = new Date()) {
+  return `${date.toISOString().replace(/[-:.]/g, "")}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+async function moveObject(env, sourceKey, destKey, mapMetadata) {
+  const copied = await copyObject(env, sourceKey, destKey, mapMetadata);
+  if (!copied) return null;
+  await env.R2_BUCKET.delete(sourceKey);
+  return copied;
+}
+
+// ── Crypto helpers ────────────────────────────────────────────
+
+async function sha256(message) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(message);
+  const hashBuffer = await crypto.subtle.digest("SHA-256", data);
+  return Array.from(new Uint8Array(hashBuffer))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+async function hmac(key, message) {
+  const encoder = new TextEncoder();
+  const keyData = typeof key === "string" ? encoder.encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw", keyData, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(message));
+  return new Uint8Array(signature);
+}
+
+async function hmacHex(key, message) {
+  const sig = await hmac(key, message);
+  return Array.from(sig).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function getSigningKey(secretKey, dateStamp, region) {
+  const kDate = await hmac(`AWS4${secretKey}`, dateStamp);
+  const kRegion = await hmac(kDate, region);
+  const kService = await hmac(kRegion, "s3");
+  return hmac(kService, "aws4_request");
+}
+
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function base64UrlDecodeString(input) {
+  return new TextDecoder().decode(base64UrlDecode(input));
 }
 
 // ── Response helpers ──────────────────────────────────────────
 
-function jsonResponse(request, data, status = 200) {
+function jsonResponse(data, status = 200) {
   return new Response(JSON.stringify(data), {
     status,
-    headers: { ...getCorsHeaders(request), "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json" },
   });
 }
 
-function errorResponse(request, status, message) {
+function errorResponse(status, message, extraHeaders = {}) {
   return new Response(JSON.stringify({ success: false, error: message }), {
     status,
-    headers: { ...getCorsHeaders(request), "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", ...extraHeaders },
   });
 }
@@ -0,0 +1,19 @@
+-- workers/r2-proxy/migrations/0001_audit_log.sql
+-- Audit trail of every mutating R2 proxy request (one row per affected key)
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at   TEXT    NOT NULL,  -- ISO-8601 UTC
+  action       TEXT    NOT NULL,  -- upload | overwrite | presign | delete | restore | purge | copy | move
+  user_id      TEXT    NOT NULL,
+  role         TEXT,
+  object_key   TEXT,
+  size         INTEGER,
+  content_type TEXT,
+  ip           TEXT,
+  details      TEXT               -- JSON
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_object_key ON audit_log (object_key);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_id    ON audit_log (user_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
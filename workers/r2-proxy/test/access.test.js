@@ -0,0 +1,142 @@
+// workers/r2-proxy/test/access.test.js
+// Path-traversal rejection and role/prefix decisions in canAccessPath(),
+// exercised through the routes that consult it.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv, pngBytes } from "./helpers.js";
+
+const alice = { id: "u1" };
+const partnerOwner = { id: "owner1", app_metadata: { partner_id: "acme" } };
+const partnerStaff = { id: "staff1", app_metadata: { role: "partner_staff", partner_id: "acme" } };
+const editor = { id: "editor1", app_metadata: { role: "catalogue_editor" } };
+const selfPromoted = { id: "u9", user_metadata: { role: "superior_admin" } };
+const selfAssignedPartner = { id: "u8", user_metadata: { partner_id: "acme" } };
+
+function upload(env, key, user) {
+  return callWorker(env, "PUT", `/upload/${encodeURIComponent(key)}`, {
+    user,
+    headers: { "Content-Type": "image/png" },
+    body: pngBytes(),
+  });
+}
+
+function presign(env, key, user, method = "GET") {
+  return callWorker(env, "POST", "/presign", {
+    user,
+    body: { object_key: key, method },
+  });
+}
+
+describe("path traversal", () => {
+  const traversalKeys = [
+    "users/u1/../u2/avatar.png",
+    "users/u1/..",
+    "../users/u1/avatar.png",
+    "users/u1//avatar.png",
+    "users/u1/a..b.png",
+  ];
+
+  for (const key of traversalKeys) {
+    it(`rejects upload to ${JSON.stringify(key)}`, async () => {
+      const env = createEnv();
+      const response = await upload(env, key, alice);
+      assert.equal(response.status, 403);
+      assert.equal(env.R2_BUCKET.objects.size, 0);
+    });
+
+    it(`rejects presign for ${JSON.stringify(key)}`, async () => {
+      const response = await presign(createEnv(), key, alice);
+      assert.equal(response.status, 403);
+    });
+  }
+
+  it("rejects traversal in a delete path", async () => {
+    const env = createEnv();
+    await env.R2_BUCKET.put("users/u2/avatar.png", pngBytes());
+
+    const response = await callWorker(env, "DELETE", `/delete/${encodeURIComponent("users/u1/../u2/avatar.png")}`, {
+      user: alice,
+    });
+    assert.equal(response.status, 403);
+    assert.ok(env.R2_BUCKET.objects.has("users/u2/avatar.png"));
+  });
+
+  it("rejects traversal on public reads", async () => {
+    const response = await callWorker(createEnv(), "GET", `/${encodeURIComponent("users/u1/../u2/a.png")}`);
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("prefix policy", () => {
+  it("lets users write under their own prefix only", async () => {
+    const env = createEnv();
+    assert.equal((await upload(env, "users/u1/avatar.png", alice)).status, 200);
+    assert.equal((await upload(env, "users/u2/avatar.png", alice)).status, 403);
+    assert.equal((await upload(env, "users/u10/avatar.png", alice)).status, 403);
+    assert.equal((await upload(env, "products/shoe.png", alice)).status, 403);
+  });
+
+  it("requires a token for writes", async () => {
+    const response = await upload(createEnv(), "users/u1/avatar.png", undefined);
+    assert.equal(response.status, 401);
+  });
+
+  it("gives partner owners their whole partner prefix", async () => {
+    const env = createEnv();
+    assert.equal((await upload(env, "partners/acme/logo.png", partnerOwner)).status, 200);
+    assert.equal((await upload(env, "partners/other/logo.png", partnerOwner)).status, 403);
+  });
+
+  it("limits partner staff to the partner's products", async () => {
+    const env = createEnv();
+    assert.equal((await upload(env, "partners/acme/products/p1.png", partnerStaff)).status, 200);
+    assert.equal((await upload(env, "partners/acme/logo.png", partnerStaff)).status, 403);
+
+    const remove = await callWorker(env, "DELETE", `/delete/${encodeURIComponent("partners/acme/products/p1.png")}`, {
+      user: partnerStaff,
+    });
+    assert.equal(remove.status, 403);
+  });
+
+  it("gives catalogue editors the shared catalogue prefixes", async () => {
+    const env = createEnv();
+    assert.equal((await upload(env, "products/shoe.png", editor)).status, 200);
+    assert.equal((await upload(env, "banners/sale.png", editor)).status, 200);
+    assert.equal((await upload(env, "users/u1/avatar.png", editor)).status, 403);
+  });
+
+  it("ignores roles set in user_metadata", async () => {
+    const env = createEnv();
+    assert.equal((await upload(env, "products/shoe.png", selfPromoted)).status, 403);
+    assert.equal((await upload(env, "users/u9/avatar.png", selfPromoted)).status, 200);
+  });
+
+  it("ignores partner_id set in user_metadata", async () => {
+    const env = createEnv();
+    assert.equal((await upload(env, "partners/acme/logo.png", selfAssignedPartner)).status, 403);
+    assert.equal((await presign(env, "partners/acme/logo.png", selfAssignedPartner)).status, 403);
+
+    const list = await callWorker(env, "GET", `/list?prefix=${encodeURIComponent("partners/acme/")}`, {
+      user: selfAssignedPartner,
+    });
+    assert.equal(list.status, 403);
+  });
+
+  it("keeps private partner files from a partner_id set in user_metadata", async () => {
+    const env = createEnv({ DOWNLOAD_SIGNING_SECRET: "download-secret" });
+    await env.R2_BUCKET.put("private/partners/acme/kyc.pdf", "%PDF-1.7");
+    const sign = (user) => callWorker(env, "POST", "/sign", {
+      user,
+      body: { object_key: "private/partners/acme/kyc.pdf" },
+    });
+    const list = (user) => callWorker(env, "GET", `/list?prefix=${encodeURIComponent("private/partners/acme/")}`, {
+      user,
+    });
+
+    assert.equal((await sign(selfAssignedPartner)).status, 403);
+    assert.equal((await list(selfAssignedPartner)).status, 403);
+    assert.equal((await sign(partnerOwner)).status, 200);
+    assert.equal((await list(partnerOwner)).status, 200);
+  });
+});
@@ -0,0 +1,58 @@
+// workers/r2-proxy/test/auth.test.js
+// JWKS refetching for ES256 tokens whose kid the cached key set doesn't know.
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv } from "./helpers.js";
+
+const JWKS_URL = "https://jwks.test/keys";
+const base64Url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// ES256-shaped token with a kid nobody publishes. The worker can't verify it
+// locally and falls back to /auth/v1/user, which the helpers' stub answers.
+function unknownKidToken(n) {
+  const header = base64Url({ alg: "ES256", typ: "JWT", kid: "rotated-away" });
+  const payload = base64Url({ sub: `u${n}`, aud: "authenticated", exp: Math.floor(Date.now() / 1000) + 3600 });
+  return `${header}.${payload}.c2lnbmF0dXJl`;
+}
+
+function list(env, n) {
+  return callWorker(env, "GET", `/list?prefix=users/u${n}/`, {
+    headers: { Authorization: `Bearer ${unknownKidToken(n)}` },
+  });
+}
+
+describe("JWKS refetch on an unknown kid", () => {
+  const stubFetch = globalThis.fetch;
+  let jwksFetches;
+
+  beforeEach(() => {
+    jwksFetches = 0;
+    globalThis.fetch = async (input, init) => {
+      const url = typeof input === "string" ? input : input.url;
+      if (url !== JWKS_URL) return stubFetch(input, init);
+      jwksFetches++;
+      return Response.json({ keys: [] });
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = stubFetch;
+  });
+
+  it("fetches the key set at most once a minute", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.UTC(2025, 0, 1) });
+    const env = createEnv({ SUPABASE_JWKS_URL: JWKS_URL });
+
+    for (let n = 1; n <= 3; n++) assert.equal((await list(env, n)).status, 200);
+    assert.equal(jwksFetches, 1);
+
+    t.mock.timers.tick(59 * 1000);
+    assert.equal((await list(env, 4)).status, 200);
+    assert.equal(jwksFetches, 1);
+
+    t.mock.timers.tick(1000);
+    assert.equal((await list(env, 5)).status, 200);
+    assert.equal(jwksFetches, 2);
+  });
+});
@@ -0,0 +1,62 @@
+// workers/r2-proxy/test/batch.test.js
+// Destination naming and source restrictions on POST /batch/copy.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv, pngBytes } from "./helpers.js";
+
+const admin = { id: "admin1", app_metadata: { role: "superior_admin" } };
+
+function batchCopy(env, body) {
+  return callWorker(env, "POST", "/batch/copy", { user: admin, body });
+}
+
+describe("batch copy", () => {
+  it("refuses key lists whose file names collide instead of overwriting", async () => {
+    const env = createEnv();
+    await env.R2_BUCKET.put("products/a/cover.png", pngBytes(1, 1));
+    await env.R2_BUCKET.put("products/b/cover.png", pngBytes(2, 2));
+    await env.R2_BUCKET.put("products/b/side.png", pngBytes(3, 3));
+
+    const response = await batchCopy(env, {
+      keys: ["products/a/cover.png", "products/b/cover.png", "products/b/side.png"],
+      destination_prefix: "banners/",
+    });
+    const body = await response.json();
+
+    assert.deepEqual(body.results.map((r) => [r.key, r.success]), [
+      ["products/a/cover.png", false],
+      ["products/b/cover.png", false],
+      ["products/b/side.png", true],
+    ]);
+    assert.ok(!env.R2_BUCKET.objects.has("banners/cover.png"));
+    assert.ok(env.R2_BUCKET.objects.has("banners/side.png"));
+  });
+
+  it("keeps paths relative to prefix", async () => {
+    const env = createEnv();
+    await env.R2_BUCKET.put("products/a/cover.png", pngBytes());
+    await env.R2_BUCKET.put("products/b/cover.png", pngBytes());
+
+    const response = await batchCopy(env, { prefix: "products/", destination_prefix: "banners/" });
+    assert.equal((await response.json()).succeeded, 2);
+    assert.ok(env.R2_BUCKET.objects.has("banners/a/cover.png"));
+    assert.ok(env.R2_BUCKET.objects.has("banners/b/cover.png"));
+  });
+
+  it("never copies private or internal keys", async () => {
+    const env = createEnv();
+    const sources = [
+      "private/users/u1/kyc.pdf",
+      ".versions/products/a.png/20250101T000000000Z",
+      ".variants/products/a.png/etag/w320-q80.webp",
+      ".uploads/products/a.png",
+    ];
+    for (const key of sources) await env.R2_BUCKET.put(key, pngBytes());
+
+    const response = await batchCopy(env, { keys: sources, destination_prefix: "banners/leak/" });
+    const body = await response.json();
+    assert.equal(body.succeeded, 0);
+    assert.deepEqual([...env.R2_BUCKET.objects.keys()].filter((k) => k.startsWith("banners/")), []);
+  });
+});
@@ -0,0 +1,70 @@
+// workers/r2-proxy/test/cors.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv, pngBytes } from "./helpers.js";
+
+function preflight(env, origin) {
+  return callWorker(env, "OPTIONS", "/upload/users/u1/a.png", {
+    headers: { Origin: origin, "Access-Control-Request-Method": "PUT" },
+  });
+}
+
+describe("CORS", () => {
+  it("echoes an allowed origin on preflight", async () => {
+    const response = await preflight(createEnv(), "https://www.mysubasha.com");
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "https://www.mysubasha.com");
+    assert.match(response.headers.get("Access-Control-Allow-Methods"), /\bPUT\b/);
+    assert.match(response.headers.get("Access-Control-Allow-Headers"), /\bAuthorization\b/);
+    assert.equal(response.headers.get("Vary"), "Origin");
+  });
+
+  it("answers unknown origins with the first configured origin", async () => {
+    const response = await preflight(createEnv(), "https://evil.example");
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "https://mysubasha.com");
+  });
+
+  it("reads origins from ALLOWED_ORIGINS with wildcards", async () => {
+    const env = createEnv({ ALLOWED_ORIGINS: "https://*.mysubasha.com, http://localhost:*" });
+
+    const preview = await preflight(env, "https://pr-42.preview.mysubasha.com");
+    assert.equal(preview.headers.get("Access-Control-Allow-Origin"), "https://pr-42.preview.mysubasha.com");
+
+    const local = await preflight(env, "http://localhost:5173");
+    assert.equal(local.headers.get("Access-Control-Allow-Origin"), "http://localhost:5173");
+
+    // Wildcards don't match the bare domain or a lookalike suffix, and with
+    // no literal origin configured there is nothing to fall back to
+    for (const origin of ["https://mysubasha.com", "https://x.mysubasha.com.evil.example"]) {
+      const response = await preflight(env, origin);
+      assert.equal(response.headers.get("Access-Control-Allow-Origin"), "null");
+    }
+  });
+
+  it("adds CORS headers to error responses", async () => {
+    const response = await callWorker(createEnv(), "GET", "/list", {
+      headers: { Origin: "https://mysubasha.com" },
+    });
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "https://mysubasha.com");
+  });
+
+  it("re-applies the caller's origin to cached public reads", async () => {
+    const env = createEnv({ ALLOWED_ORIGINS: "https://mysubasha.com,https://admin.mysubasha.com" });
+    await env.R2_BUCKET.put("products/cors-shoe.png", pngBytes(), { httpMetadata: { contentType: "image/png" } });
+
+    const first = await callWorker(env, "GET", "/products/cors-shoe.png", {
+      headers: { Origin: "https://mysubasha.com" },
+    });
+    assert.equal(first.headers.get("X-Cache-Status"), "MISS");
+    assert.equal(first.headers.get("Access-Control-Allow-Origin"), "https://mysubasha.com");
+    assert.match(first.headers.get("Access-Control-Expose-Headers"), /\bETag\b/);
+
+    const second = await callWorker(env, "GET", "/products/cors-shoe.png", {
+      headers: { Origin: "https://admin.mysubasha.com" },
+    });
+    assert.equal(second.headers.get("X-Cache-Status"), "HIT");
+    assert.equal(second.headers.get("Access-Control-Allow-Origin"), "https://admin.mysubasha.com");
+  });
+});
@@ -0,0 +1,55 @@
+// workers/r2-proxy/test/downloads.test.js
+// Signed private downloads: key decoding and Range handling on /private/ GETs.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv } from "./helpers.js";
+
+const alice = { id: "u1" };
+const KEY = "private/users/u1/statement.pdf";
+const BODY = "%PDF-1.7 0123456789";
+
+async function signedPath(env, key = KEY) {
+  const response = await callWorker(env, "POST", "/sign", { user: alice, body: { object_key: key } });
+  assert.equal(response.status, 200);
+  const url = new URL((await response.json()).url);
+  return `${url.pathname}${url.search}`;
+}
+
+async function setup() {
+  const env = createEnv({ DOWNLOAD_SIGNING_SECRET: "download-secret" });
+  await env.R2_BUCKET.put(KEY, BODY);
+  return env;
+}
+
+describe("signed downloads", () => {
+  it("serves a satisfiable range", async () => {
+    const env = await setup();
+    const response = await callWorker(env, "GET", await signedPath(env), { headers: { Range: "bytes=0-3" } });
+    assert.equal(response.status, 206);
+    assert.equal(await response.text(), "%PDF");
+  });
+
+  it("rejects a key with a malformed escape as 400", async () => {
+    const env = await setup();
+    const search = new URL(await signedPath(env), "https://x").search;
+    const response = await callWorker(env, "GET", `/private/users/u1/%E0%A4%A.pdf${search}`);
+    assert.equal(response.status, 400);
+  });
+
+  for (const range of ["bytes=abc", "bytes=5-2", "bytes=0-1,4-5", "items=0-3"]) {
+    it(`rejects Range ${JSON.stringify(range)} as 416`, async () => {
+      const env = await setup();
+      const response = await callWorker(env, "GET", await signedPath(env), { headers: { Range: range } });
+      assert.equal(response.status, 416);
+      assert.equal(response.headers.get("Content-Range"), `bytes */${BODY.length}`);
+    });
+  }
+
+  it("rejects a range past the end as 416", async () => {
+    const env = await setup();
+    const response = await callWorker(env, "GET", await signedPath(env), { headers: { Range: "bytes=100-" } });
+    assert.equal(response.status, 416);
+    assert.equal(response.headers.get("Content-Range"), `bytes */${BODY.length}`);
+  });
+});
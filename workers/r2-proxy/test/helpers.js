@@ -0,0 +1,391 @@
+// workers/r2-proxy/test/helpers.js
+// ============================================================
+// Local stand-ins for the Workers runtime: an in-memory R2 bucket, the
+// default edge cache and Supabase's /auth/v1/user endpoint. Tests drive the
+// worker through its fetch handler exactly as the runtime would.
+// ============================================================
+
+import worker from "../index.js";
+
+export const SUPABASE_URL = "https://supabase.test";
+export const WORKER_ORIGIN = "https://r2.test";
+
+// ── In-memory R2 ──────────────────────────────────────────────
+
+export class MemoryR2Bucket {
+  constructor() {
+    this.objects = new Map();
+    this.uploads = new Map();
+    this.writes = 0;
+  }
+
+  async head(key) {
+    const stored = this.objects.get(key);
+    return stored ? toR2Object(stored) : null;
+  }
+
+  async get(key, options = {}) {
+    const stored = this.objects.get(key);
+    if (!stored) return null;
+    if (!preconditionsPass(stored, options.onlyIf)) return toR2Object(stored);
+
+    const range = parseRange(options.range, stored.bytes.byteLength);
+    const bytes = range
+      ? stored.bytes.slice(range.offset, range.offset + range.length)
+      : stored.bytes;
+    return toR2ObjectBody(stored, bytes, range);
+  }
+
+  async put(key, value, options = {}) {
+    const existing = this.objects.get(key);
+    if (existing && !preconditionsPass(existing, options.onlyIf)) return null;
+    if (!existing && hasIfMatch(options.onlyIf)) return null;
+
+    const bytes = await toBytes(value);
+    const stored = {
+      key,
+      bytes,
+      etag: `etag-${++this.writes}`,
+      uploaded: new Date(),
+      httpMetadata: { ...(options.httpMetadata || {}) },
+      customMetadata: { ...(options.customMetadata || {}) },
+    };
+    this.objects.set(key, stored);
+    return toR2Object(stored);
+  }
+
+  async delete(keys) {
+    for (const key of Array.isArray(keys) ? keys : [keys]) this.objects.delete(key);
+  }
+
+  async createMultipartUpload(key, options = {}) {
+    const uploadId = `upload-${++this.writes}`;
+    this.uploads.set(uploadId, { key, options, parts: new Map() });
+    return this.resumeMultipartUpload(key, uploadId);
+  }
+
+  // Parts are kept in memory until complete() joins them into one object
+  resumeMultipartUpload(key, uploadId) {
+    const bucket = this;
+    const open = () => {
+      const upload = bucket.uploads.get(uploadId);
+      if (!upload || upload.key !== key) throw new Error("multipart upload does not exist");
+      return upload;
+    };
+
+    return {
+      key,
+      uploadId,
+      async uploadPart(partNumber, value) {
+        const upload = open();
+        const part = { partNumber, etag: `part-${++bucket.writes}`, bytes: await toBytes(value) };
+        upload.parts.set(partNumber, part);
+        return { partNumber, etag: part.etag };
+      },
+      async complete(parts) {
+        const upload = open();
+        const chunks = parts.map(({ partNumber, etag }) => {
+          const part = upload.parts.get(partNumber);
+          if (!part || part.etag !== etag) throw new Error(`part ${partNumber} not found`);
+          return part.bytes;
+        });
+        bucket.uploads.delete(uploadId);
+        return bucket.put(key, new Blob(chunks), upload.options);
+      },
+      async abort() {
+        open();
+        bucket.uploads.delete(uploadId);
+      },
+    };
+  }
+
+  async list(options = {}) {
+    const prefix = options.prefix || "";
+    const limit = options.limit || 1000;
+    const start = options.cursor ? parseInt(options.cursor) : 0;
+
+    const keys = [...this.objects.keys()].filter((key) => key.startsWith(prefix)).sort();
+    const objects = [];
+    const delimitedPrefixes = new Set();
+    let index = start;
+
+    for (; index < keys.length && objects.length + delimitedPrefixes.size < limit; index++) {
+      const rest = keys[index].slice(prefix.length);
+      const cut = options.delimiter ? rest.indexOf(options.delimiter) : -1;
+      if (cut >= 0) {
+        delimitedPrefixes.add(prefix + rest.slice(0, cut + 1));
+      } else {
+        objects.push(toR2Object(this.objects.get(keys[index])));
+      }
+    }
+
+    const truncated = index < keys.length;
+    return {
+      objects,
+      delimitedPrefixes: [...delimitedPrefixes],
+      truncated,
+      cursor: truncated ? String(index) : undefined,
+    };
+  }
+}
+
+function toR2Object(stored) {
+  return {
+    key: stored.key,
+    size: stored.bytes.byteLength,
+    etag: stored.etag,
+    httpEtag: `"${stored.etag}"`,
+    uploaded: stored.uploaded,
+    httpMetadata: { ...stored.httpMetadata },
+    customMetadata: { ...stored.customMetadata },
+    writeHttpMetadata(headers) {
+      if (stored.httpMetadata.contentType) headers.set("Content-Type", stored.httpMetadata.contentType);
+    },
+  };
+}
+
+function toR2ObjectBody(stored, bytes, range) {
+  return {
+    ...toR2Object(stored),
+    range,
+    body: new Blob([bytes]).stream(),
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+    text: async () => new TextDecoder().decode(bytes),
+  };
+}
+
+async function toBytes(value) {
+  if (value == null) return new Uint8Array(0);
+  if (typeof value === "string") return new TextEncoder().encode(value);
+  if (value instanceof ArrayBuffer) return new Uint8Array(value.slice(0));
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  return new Uint8Array(await new Response(value).arrayBuffer());
+}
+
+function conditionHeader(onlyIf, name) {
+  if (!onlyIf) return null;
+  return onlyIf instanceof Headers ? onlyIf.get(name) : null;
+}
+
+function hasIfMatch(onlyIf) {
+  return Boolean(conditionHeader(onlyIf, "If-Match"));
+}
+
+// Only the ETag conditions are modelled — enough for the write paths
+function preconditionsPass(stored, onlyIf) {
+  const matches = (list) =>
+    list.split(",").some((tag) => {
+      const value = tag.trim().replace(/^W\//, "").replace(/"/g, "");
+      return value === "*" || value === stored.etag;
+    });
+
+  const ifMatch = conditionHeader(onlyIf, "If-Match");
+  if (ifMatch && !matches(ifMatch)) return false;
+  const ifNoneMatch = conditionHeader(onlyIf, "If-None-Match");
+  if (ifNoneMatch && matches(ifNoneMatch)) return false;
+  return true;
+}
+
+function parseRange(range, size) {
+  if (range && !(range instanceof Headers)) {
+    const offset = range.offset || 0;
+    return { offset, length: Math.min(range.length ?? size - offset, size - offset) };
+  }
+
+  const header = range instanceof Headers ? range.get("Range") : null;
+  if (!header) return undefined;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return undefined;
+  if (!match[1]) return { suffix: Math.min(parseInt(match[2]), size) };
+
+  const offset = parseInt(match[1]);
+  if (offset >= size) throw new Error("range not satisfiable");
+  const end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+  return { offset, length: end - offset + 1 };
+}
+
+// ── Audit log ─────────────────────────────────────────────────
+
+// Collects the rows recordAudit() writes; only INSERT batches are modelled
+export class MemoryD1 {
+  constructor() {
+    this.rows = [];
+  }
+
+  prepare(sql) {
+    return { bind: (...values) => ({ sql, values }) };
+  }
+
+  async batch(statements) {
+    for (const statement of statements) this.rows.push(statement.values);
+    return statements.map(() => ({ success: true }));
+  }
+}
+
+// ── Usage KV ──────────────────────────────────────────────────
+
+// Enough of Workers KV for the quota counters; expirationTtl is ignored
+export class MemoryKV {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(key) {
+    return this.values.get(key) ?? null;
+  }
+
+  async put(key, value) {
+    this.values.set(key, String(value));
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+  }
+
+  async list({ prefix = "" } = {}) {
+    const keys = [...this.values.keys()].filter((key) => key.startsWith(prefix)).sort();
+    return { keys: keys.map((name) => ({ name })), list_complete: true };
+  }
+}
+
+// ── Edge cache ────────────────────────────────────────────────
+
+class MemoryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async match(request) {
+    const url = typeof request === "string" ? request : request.url;
+    return this.entries.get(url)?.clone();
+  }
+
+  async put(request, response) {
+    const url = typeof request === "string" ? request : request.url;
+    this.entries.set(url, response.clone());
+  }
+
+  async delete(request) {
+    const url = typeof request === "string" ? request : request.url;
+    return this.entries.delete(url);
+  }
+}
+
+globalThis.caches = { default: new MemoryCache() };
+
+// ── Supabase auth stand-in ────────────────────────────────────
+//
+// Tokens are unsigned HS256-shaped JWTs carrying the user record. With no
+// SUPABASE_JWT_SECRET in the env the worker can't verify them locally and
+// falls back to /auth/v1/user, which is answered here from the payload.
+// Any other outbound fetch fails the test.
+
+globalThis.fetch = async (input, init) => {
+  const url = typeof input === "string" ? input : input.url;
+  if (url === `${SUPABASE_URL}/auth/v1/user`) {
+    const authorization = new Headers(init?.headers).get("Authorization") || "";
+    const claims = decodeToken(authorization.replace(/^Bearer /, ""));
+    if (!claims || claims.revoked) {
+      return new Response(JSON.stringify({ message: "invalid JWT" }), { status: 401 });
+    }
+    return Response.json({
+      id: claims.sub,
+      email: claims.email || null,
+      app_metadata: claims.app_metadata || {},
+      user_metadata: claims.user_metadata || {},
+    });
+  }
+  throw new Error(`Unexpected outbound fetch: ${url}`);
+};
+
+const base64Url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Builds a bearer token for a test user. `user` takes the /auth/v1/user
+ * shape ({ id, app_metadata, user_metadata }); pass revoked: true to have
+ * the stub reject it.
+ */
+export function tokenFor(user) {
+  const header = base64Url({ alg: "HS256", typ: "JWT" });
+  const payload = base64Url({
+    sub: user.id,
+    email: user.email,
+    aud: "authenticated",
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    app_metadata: user.app_metadata,
+    user_metadata: user.user_metadata,
+    revoked: user.revoked,
+  });
+  return `${header}.${payload}.unsigned`;
+}
+
+function decodeToken(token) {
+  try {
+    return JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString());
+  } catch {
+    return null;
+  }
+}
+
+// ── Worker harness ────────────────────────────────────────────
+
+export function createEnv(vars = {}) {
+  return {
+    R2_BUCKET: new MemoryR2Bucket(),
+    AUDIT_DB: new MemoryD1(),
+    SUPABASE_URL,
+    SUPABASE_ANON_KEY: "anon-key",
+    R2_ACCOUNT_ID: "acct",
+    R2_ACCESS_KEY_ID: "AKID",
+    R2_SECRET_ACCESS_KEY: "secret",
+    ...vars,
+  };
+}
+
+/**
+ * Sends a request through the worker's fetch handler and waits for any
+ * ctx.waitUntil() work so assertions see its effects. `user` adds a bearer
+ * token; `body` objects are sent as JSON. Byte and string bodies get a
+ * Content-Length; a ReadableStream body is sent without one, like a chunked
+ * upload.
+ */
+export async function callWorker(env, method, path, { user, headers = {}, body } = {}) {
+  const requestHeaders = new Headers(headers);
+  if (user) requestHeaders.set("Authorization", `Bearer ${tokenFor(user)}`);
+
+  let requestBody = body;
+  const streamed = body instanceof ReadableStream;
+  if (body && !streamed && !(body instanceof Uint8Array) && typeof body === "object") {
+    requestBody = JSON.stringify(body);
+    if (!requestHeaders.has("Content-Type")) requestHeaders.set("Content-Type", "application/json");
+  }
+  // A client sending a fixed-size body declares its length
+  if (requestBody !== undefined && !streamed && !requestHeaders.has("Content-Length")) {
+    const length = typeof requestBody === "string" ? Buffer.byteLength(requestBody) : requestBody.byteLength;
+    requestHeaders.set("Content-Length", String(length));
+  }
+
+  const request = new Request(`${WORKER_ORIGIN}${path}`, {
+    method,
+    headers: requestHeaders,
+    body: requestBody,
+    ...(streamed && { duplex: "half" }),
+  });
+  const pending = [];
+  const ctx = { waitUntil: (promise) => pending.push(promise), passThroughOnException() {} };
+
+  const response = await worker.fetch(request, env, ctx);
+  await Promise.all(pending);
+  return response;
+}
+
+// Smallest header a PNG needs for the worker's magic-byte and size checks
+export function pngBytes(width = 1, height = 1, totalSize = 64) {
+  const bytes = new Uint8Array(Math.max(totalSize, 24));
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(16, width);
+  view.setUint32(20, height);
+  return bytes;
+}
@@ -0,0 +1,224 @@
+// workers/r2-proxy/test/limits.test.js
+// Upload size limits on direct uploads, presigned PUTs and multipart uploads,
+// and the content check multipart uploads get before they become readable.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MemoryKV, callWorker, createEnv, pngBytes } from "./helpers.js";
+
+const alice = { id: "u1" };
+
+function upload(env, key, body, headers = {}) {
+  return callWorker(env, "PUT", `/upload/${encodeURIComponent(key)}`, {
+    user: alice,
+    headers: { "Content-Type": "image/png", ...headers },
+    body,
+  });
+}
+
+function presignPut(env, fields) {
+  return callWorker(env, "POST", "/presign", {
+    user: alice,
+    body: { object_key: "private/users/u1/statement.pdf", content_type: "application/pdf", ...fields },
+  });
+}
+
+describe("direct upload size limit", () => {
+  it("accepts a body at the limit", async () => {
+    const env = createEnv({ MAX_UPLOAD_BYTES: "1024" });
+    const response = await upload(env, "users/u1/edge.png", pngBytes(1, 1, 1024));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).size, 1024);
+    assert.equal(env.R2_BUCKET.objects.get("users/u1/edge.png").bytes.byteLength, 1024);
+    assert.equal(env.AUDIT_DB.rows.length, 1);
+  });
+
+  it("rejects an oversized Content-Length before reading the body", async () => {
+    const env = createEnv({ MAX_UPLOAD_BYTES: "1024" });
+    const response = await upload(env, "users/u1/big.png", pngBytes(), { "Content-Length": "1025" });
+    assert.equal(response.status, 413);
+    assert.equal(env.R2_BUCKET.objects.size, 0);
+  });
+
+  it("rejects a body larger than the limit", async () => {
+    const env = createEnv({ MAX_UPLOAD_BYTES: "1024" });
+    const response = await upload(env, "users/u1/big.png", pngBytes(1, 1, 1025));
+    assert.equal(response.status, 413);
+    assert.equal(env.R2_BUCKET.objects.size, 0);
+  });
+
+  it("keeps each env's limit when requests interleave", async () => {
+    const strict = createEnv({ MAX_UPLOAD_BYTES: "1024" });
+    const relaxed = createEnv();
+    const [rejected, accepted] = await Promise.all([
+      upload(strict, "users/u1/a.png", pngBytes(1, 1, 2048)),
+      upload(relaxed, "users/u1/a.png", pngBytes(1, 1, 2048)),
+    ]);
+    assert.equal(rejected.status, 413);
+    assert.equal(accepted.status, 200);
+  });
+
+  it("defaults to 5 MB", async () => {
+    const env = createEnv();
+    const response = await upload(env, "users/u1/big.png", pngBytes(), {
+      "Content-Length": String(5 * 1024 * 1024 + 1),
+    });
+    assert.equal(response.status, 413);
+  });
+});
+
+async function multipartUpload(env, key, parts, contentType = "image/png") {
+  const created = await callWorker(env, "POST", "/multipart/create", {
+    user: alice,
+    body: { object_key: key, content_type: contentType },
+  });
+  const { uploadId } = await created.json();
+  const path = (action) => `/multipart/${action}/${encodeURIComponent(key)}?uploadId=${uploadId}`;
+
+  const sent = [];
+  for (const [index, bytes] of parts.entries()) {
+    const part = await callWorker(env, "PUT", `${path("part")}&partNumber=${index + 1}`, { user: alice, body: bytes });
+    sent.push(await part.json());
+  }
+  return callWorker(env, "POST", path("complete"), {
+    user: alice,
+    body: { parts: sent.map(({ partNumber, etag }) => ({ partNumber, etag })) },
+  });
+}
+
+describe("multipart upload size limit", () => {
+  it("accepts an upload at the limit", async () => {
+    const env = createEnv({ MAX_MULTIPART_BYTES: "2048" });
+    const response = await multipartUpload(env, "users/u1/big.png", [pngBytes(1, 1, 1024), new Uint8Array(1024)]);
+    assert.equal(response.status, 200);
+    assert.equal(env.R2_BUCKET.objects.get("users/u1/big.png").bytes.byteLength, 2048);
+    assert.deepEqual([...env.R2_BUCKET.objects.keys()], ["users/u1/big.png"]);
+  });
+
+  it("keeps the current file when the finished upload is too large", async () => {
+    const env = createEnv({ MAX_MULTIPART_BYTES: "2048" });
+    await env.R2_BUCKET.put("users/u1/big.png", pngBytes());
+
+    const response = await multipartUpload(env, "users/u1/big.png", [pngBytes(1, 1, 1024), new Uint8Array(1025)]);
+    assert.equal(response.status, 413);
+    assert.equal(env.R2_BUCKET.objects.get("users/u1/big.png").bytes.byteLength, 64);
+    assert.deepEqual([...env.R2_BUCKET.objects.keys()], ["users/u1/big.png"]);
+  });
+});
+
+describe("multipart content check", () => {
+  it("stores images with their dimensions", async () => {
+    const env = createEnv();
+    const response = await multipartUpload(env, "users/u1/wide.png", [pngBytes(640, 480)]);
+    assert.equal(response.status, 200);
+    assert.deepEqual(env.R2_BUCKET.objects.get("users/u1/wide.png").customMetadata, { width: "640", height: "480" });
+  });
+
+  it("rejects a file that isn't the declared type", async () => {
+    const env = createEnv();
+    const html = new TextEncoder().encode("<html><script>alert(1)</script></html>");
+    for (const contentType of ["image/png", "video/mp4"]) {
+      const response = await multipartUpload(env, "users/u1/page.png", [html], contentType);
+      assert.equal(response.status, 415, contentType);
+    }
+    assert.equal(env.R2_BUCKET.objects.size, 0);
+  });
+
+  it("accepts videos by their container signature", async () => {
+    const env = createEnv();
+    const mp4 = new Uint8Array(64);
+    mp4.set(new TextEncoder().encode("ftypisom"), 4);
+    const response = await multipartUpload(env, "users/u1/clip.mp4", [mp4], "video/mp4");
+    assert.equal(response.status, 200);
+  });
+});
+
+describe("presigned PUT size limit", () => {
+  it("signs the declared length into the URL", async () => {
+    const response = await presignPut(createEnv({ MAX_UPLOAD_BYTES: "1024" }), { content_length: 1024 });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.requiredHeaders, { "content-type": "application/pdf", "content-length": "1024" });
+    assert.match(new URL(body.presignedUrl).searchParams.get("X-Amz-SignedHeaders"), /content-length/);
+  });
+
+  it("rejects lengths over MAX_UPLOAD_BYTES", async () => {
+    const response = await presignPut(createEnv({ MAX_UPLOAD_BYTES: "1024" }), { content_length: 1025 });
+    assert.equal(response.status, 413);
+  });
+
+  it("lets max_size narrow the limit but never raise it", async () => {
+    const env = createEnv({ MAX_UPLOAD_BYTES: "1024" });
+    assert.equal((await presignPut(env, { content_length: 600, max_size: 500 })).status, 413);
+    assert.equal((await presignPut(env, { content_length: 1025, max_size: 4096 })).status, 413);
+    assert.equal((await presignPut(env, { content_length: 500, max_size: 500 })).status, 200);
+  });
+
+  it("requires a positive integer length", async () => {
+    const env = createEnv();
+    for (const content_length of [undefined, 0, -1, 1.5, "abc"]) {
+      const response = await presignPut(env, { content_length });
+      assert.equal(response.status, 400, `content_length ${content_length}`);
+    }
+  });
+});
+
+describe("presigned PUT quota", () => {
+  async function usedBytes(env) {
+    const response = await callWorker(env, "GET", "/usage", { user: alice });
+    return (await response.json()).user.usedBytes;
+  }
+
+  it("charges the upload once the object exists", async () => {
+    const env = createEnv({ USAGE_KV: new MemoryKV() });
+    assert.equal((await presignPut(env, { content_length: 500 })).status, 200);
+    assert.equal(await usedBytes(env), 0);
+
+    await env.R2_BUCKET.put("private/users/u1/statement.pdf", new Uint8Array(500));
+    assert.equal(await usedBytes(env), 500);
+    assert.equal(await usedBytes(env), 500);
+  });
+
+  it("charges only the difference when the upload replaces an object", async () => {
+    const env = createEnv({ USAGE_KV: new MemoryKV() });
+    await env.R2_BUCKET.put("private/users/u1/statement.pdf", new Uint8Array(300));
+    await env.USAGE_KV.put("usage:user:u1:bytes", "300");
+
+    assert.equal((await presignPut(env, { content_length: 500 })).status, 200);
+    assert.equal(await usedBytes(env), 300);
+
+    await env.R2_BUCKET.put("private/users/u1/statement.pdf", new Uint8Array(500));
+    assert.equal(await usedBytes(env), 500);
+  });
+});
+
+describe("multipart part size limit", () => {
+  async function createUpload(env, key) {
+    const created = await callWorker(env, "POST", "/multipart/create", {
+      user: alice,
+      body: { object_key: key, content_type: "image/png" },
+    });
+    const { uploadId } = await created.json();
+    return `/multipart/part/${encodeURIComponent(key)}?uploadId=${uploadId}&partNumber=1`;
+  }
+
+  it("rejects a part declared over the limit", async () => {
+    const env = createEnv({ MAX_PART_BYTES: "1024" });
+    const path = await createUpload(env, "users/u1/big.png");
+    const response = await callWorker(env, "PUT", path, { user: alice, body: new Uint8Array(1025) });
+    assert.equal(response.status, 413);
+  });
+
+  it("requires a Content-Length on each part", async () => {
+    const env = createEnv({ MAX_PART_BYTES: "1024" });
+    const path = await createUpload(env, "users/u1/big.png");
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new Uint8Array(2048));
+        controller.close();
+      },
+    });
+    const response = await callWorker(env, "PUT", path, { user: alice, body });
+    assert.equal(response.status, 411);
+  });
+});
@@ -0,0 +1,88 @@
+// workers/r2-proxy/test/list.test.js
+// /list only returns keys under a prefix the caller may list.
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv, pngBytes } from "./helpers.js";
+
+const alice = { id: "u1" };
+const partnerStaff = { id: "staff1", app_metadata: { role: "partner_staff", partner_id: "acme" } };
+const admin = { id: "admin1", app_metadata: { role: "superior_admin" } };
+
+const KEYS = [
+  "users/u1/a.png",
+  "users/u1/albums/b.png",
+  "users/u10/c.png",
+  "users/u2/d.png",
+  "partners/acme/logo.png",
+  "partners/acme/products/p1.png",
+  "products/shoe.png",
+];
+
+async function list(env, user, params = {}) {
+  const response = await callWorker(env, "GET", `/list?${new URLSearchParams(params)}`, { user });
+  return { status: response.status, body: await response.json() };
+}
+
+describe("list prefix authorisation", () => {
+  let env;
+
+  before(async () => {
+    env = createEnv();
+    for (const key of KEYS) {
+      await env.R2_BUCKET.put(key, pngBytes(), { httpMetadata: { contentType: "image/png" } });
+    }
+  });
+
+  it("lists the caller's own prefix", async () => {
+    const { status, body } = await list(env, alice, { prefix: "users/u1/" });
+    assert.equal(status, 200);
+    assert.deepEqual(body.objects.map((o) => o.key), ["users/u1/a.png", "users/u1/albums/b.png"]);
+  });
+
+  it("refuses prefixes that would reach past the caller's own", async () => {
+    for (const prefix of ["", "users/", "users/u1", "users/u2/", "products/", "users/u1/../u2/"]) {
+      const { status } = await list(env, alice, { prefix });
+      assert.equal(status, 403, `prefix ${JSON.stringify(prefix)}`);
+    }
+  });
+
+  it("groups by delimiter within the granted prefix", async () => {
+    const { body } = await list(env, alice, { prefix: "users/u1/", delimiter: "/" });
+    assert.deepEqual(body.objects.map((o) => o.key), ["users/u1/a.png"]);
+    assert.deepEqual(body.delimitedPrefixes, ["users/u1/albums/"]);
+  });
+
+  it("pages with a cursor", async () => {
+    const first = await list(env, alice, { prefix: "users/u1/", max_keys: "1" });
+    assert.equal(first.body.truncated, true);
+    assert.ok(first.body.cursor);
+
+    const second = await list(env, alice, { prefix: "users/u1/", max_keys: "1", cursor: first.body.cursor });
+    assert.deepEqual(second.body.objects.map((o) => o.key), ["users/u1/albums/b.png"]);
+    assert.equal(second.body.cursor, null);
+  });
+
+  it("keeps partner staff inside the products prefix", async () => {
+    assert.equal((await list(env, partnerStaff, { prefix: "partners/acme/products/" })).status, 200);
+    assert.equal((await list(env, partnerStaff, { prefix: "partners/acme/" })).status, 403);
+  });
+
+  it("lets admins list the whole bucket", async () => {
+    const { status, body } = await list(env, admin);
+    assert.equal(status, 200);
+    assert.equal(body.objects.length, KEYS.length);
+  });
+
+  it("requires a token", async () => {
+    const response = await callWorker(env, "GET", "/list?prefix=users/u1/");
+    assert.equal(response.status, 401);
+  });
+
+  it("rejects tokens Supabase doesn't recognise", async () => {
+    const response = await callWorker(env, "GET", "/list?prefix=users/u3/", {
+      user: { id: "u3", revoked: true },
+    });
+    assert.equal(response.status, 401);
+  });
+});
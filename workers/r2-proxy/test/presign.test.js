@@ -0,0 +1,149 @@
+// workers/r2-proxy/test/presign.test.js
+// SigV4 presigned URLs checked against signatures computed independently
+// of the worker (a reference AWS SigV4 implementation, same inputs).
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv } from "./helpers.js";
+
+const alice = { id: "u1" };
+const SIGNING_TIME = Date.UTC(2025, 0, 2, 3, 4, 5); // 20250102T030405Z
+
+// account "acct", access key "AKID", secret "secret", bucket subasha-ventures
+const VECTORS = [
+  {
+    name: "PUT with content type and length",
+    request: {
+      object_key: "users/u1/my photo (1).png",
+      method: "PUT",
+      content_type: "image/png",
+      content_length: 123,
+      expires_in: 300,
+    },
+    path: "/subasha-ventures/users/u1/my%20photo%20%281%29.png",
+    signedHeaders: "content-length;content-type;host",
+    expires: "300",
+    signature: "5cceb68d0b4f7860f42cd58837bff49fc5b2d1750a16600aa872d647f19e76b2",
+  },
+  {
+    name: "private document PUT",
+    request: {
+      object_key: "private/users/u1/my statement (1).pdf",
+      method: "PUT",
+      content_type: "application/pdf",
+      content_length: 123,
+      expires_in: 300,
+    },
+    path: "/subasha-ventures/private/users/u1/my%20statement%20%281%29.pdf",
+    signedHeaders: "content-length;content-type;host",
+    expires: "300",
+    signature: "9088beecd1e39dad1c8bb9790b5eec89fdba60378f2f1c4afbbd6f449b876c77",
+  },
+  {
+    name: "GET",
+    request: { object_key: "users/u1/report.png", method: "GET", expires_in: 600 },
+    path: "/subasha-ventures/users/u1/report.png",
+    signedHeaders: "host",
+    expires: "600",
+    signature: "9ebde9db33c936758d9c2d0f3c5c5efc7fcdbf042d7b2e0b5e7e4ecd7ab5d619",
+  },
+  {
+    name: "DELETE",
+    request: { object_key: "users/u1/old.webp", method: "DELETE", expires_in: 120 },
+    path: "/subasha-ventures/users/u1/old.webp",
+    signedHeaders: "host",
+    expires: "120",
+    signature: "f326fe4cc401060a71ac325438056d4b4286e472a670db5ff0eb597c2835172d",
+  },
+];
+
+describe("SigV4 presign", () => {
+  beforeEach(() => mock.timers.enable({ apis: ["Date"], now: SIGNING_TIME }));
+  afterEach(() => mock.timers.reset());
+
+  for (const vector of VECTORS) {
+    it(`matches the reference signature for ${vector.name}`, async () => {
+      const response = await callWorker(createEnv(), "POST", "/presign", { user: alice, body: vector.request });
+      assert.equal(response.status, 200);
+
+      const body = await response.json();
+      assert.equal(body.method, vector.request.method);
+      assert.equal(body.expiresIn, vector.request.expires_in);
+
+      const url = new URL(body.presignedUrl);
+      assert.equal(url.origin, "https://acct.r2.cloudflarestorage.com");
+      assert.equal(url.pathname, vector.path);
+      assert.deepEqual(Object.fromEntries(url.searchParams), {
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": "AKID/20250102/auto/s3/aws4_request",
+        "X-Amz-Date": "20250102T030405Z",
+        "X-Amz-Expires": vector.expires,
+        "X-Amz-SignedHeaders": vector.signedHeaders,
+        "X-Amz-Signature": vector.signature,
+      });
+    });
+  }
+
+  it("signs against R2_BUCKET_NAME", async () => {
+    const response = await callWorker(createEnv({ R2_BUCKET_NAME: "subasha-staging" }), "POST", "/presign", {
+      user: alice,
+      body: VECTORS[2].request,
+    });
+    const url = new URL((await response.json()).presignedUrl);
+    assert.equal(url.pathname, "/subasha-staging/users/u1/report.png");
+    assert.notEqual(url.searchParams.get("X-Amz-Signature"), VECTORS[2].signature);
+  });
+
+  it("defaults and bounds expires_in", async () => {
+    const env = createEnv({ PRESIGN_MIN_EXPIRY: "60", PRESIGN_MAX_EXPIRY: "900", PRESIGN_DEFAULT_EXPIRY: "300" });
+    const request = (expires_in) => callWorker(env, "POST", "/presign", {
+      user: alice,
+      body: { object_key: "users/u1/report.png", method: "GET", expires_in },
+    });
+
+    assert.equal((await (await request(undefined)).json()).expiresIn, 300);
+    assert.equal((await request(59)).status, 400);
+    assert.equal((await request(901)).status, 400);
+    assert.equal((await request(900)).status, 200);
+  });
+
+  it("rejects unsupported methods and content types", async () => {
+    const env = createEnv();
+    const post = await callWorker(env, "POST", "/presign", {
+      user: alice,
+      body: { object_key: "users/u1/a.png", method: "POST" },
+    });
+    assert.equal(post.status, 400);
+
+    const svg = await callWorker(env, "POST", "/presign", {
+      user: alice,
+      body: { object_key: "users/u1/a.svg", content_type: "image/svg+xml", content_length: 10 },
+    });
+    assert.equal(svg.status, 400);
+  });
+
+  it("presigns deletes only for keys the caller may delete", async () => {
+    const env = createEnv();
+    const presignDelete = (object_key) => callWorker(env, "POST", "/presign", {
+      user: alice,
+      body: { object_key, method: "DELETE" },
+    });
+
+    assert.equal((await presignDelete("users/u1/old.webp")).status, 200);
+    assert.equal((await presignDelete("users/u2/old.webp")).status, 403);
+    assert.equal((await presignDelete("products/p1/cover.png")).status, 403);
+  });
+
+  it("takes images on public keys and only documents under private/", async () => {
+    const env = createEnv();
+    const presignPut = (object_key, content_type) => callWorker(env, "POST", "/presign", {
+      user: alice,
+      body: { object_key, content_type, content_length: 10 },
+    });
+
+    assert.equal((await presignPut("users/u1/a.png", "image/png")).status, 200);
+    assert.equal((await presignPut("private/users/u1/a.pdf", "application/pdf")).status, 200);
+    assert.equal((await presignPut("private/users/u1/a.png", "image/png")).status, 400);
+    assert.equal((await presignPut("users/u1/a.pdf", "application/pdf")).status, 400);
+  });
+});
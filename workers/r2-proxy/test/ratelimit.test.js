@@ -0,0 +1,63 @@
+// workers/r2-proxy/test/ratelimit.test.js
+// The RateLimiter Durable Object keeps its bucket across evictions.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { RateLimiter } from "../index.js";
+
+// Durable Object storage as far as RateLimiter uses it
+class MemoryStorage {
+  constructor() {
+    this.values = new Map();
+    this.alarm = null;
+  }
+
+  async get(key) {
+    return structuredClone(this.values.get(key));
+  }
+
+  async put(key, value) {
+    this.values.set(key, structuredClone(value));
+  }
+
+  async deleteAll() {
+    this.values.clear();
+  }
+
+  async setAlarm(time) {
+    this.alarm = time;
+  }
+}
+
+async function take(limiter) {
+  const response = await limiter.fetch(new Request("https://rate-limiter/take", {
+    method: "POST",
+    body: JSON.stringify({ capacity: 2, refillPerSecond: 2 / 60 }),
+  }));
+  return response.json();
+}
+
+describe("RateLimiter", () => {
+  it("keeps counting after the object is evicted", async () => {
+    const storage = new MemoryStorage();
+    const first = new RateLimiter({ storage });
+    assert.equal((await take(first)).allowed, true);
+    assert.equal((await take(first)).allowed, true);
+
+    const restarted = new RateLimiter({ storage });
+    const denied = await take(restarted);
+    assert.equal(denied.allowed, false);
+    assert.ok(denied.retryAfter > 0);
+  });
+
+  it("drops the stored bucket once it has had time to refill", async () => {
+    const storage = new MemoryStorage();
+    const limiter = new RateLimiter({ storage });
+    await take(limiter);
+    assert.ok(storage.alarm >= Date.now() + 59_000);
+
+    await limiter.alarm();
+    assert.equal(storage.values.size, 0);
+    assert.equal((await take(new RateLimiter({ storage }))).allowed, true);
+  });
+});
@@ -0,0 +1,83 @@
+// workers/r2-proxy/test/trash.test.js
+// Soft deletes: every delete keeps its own copy under trash/.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv, pngBytes } from "./helpers.js";
+
+const alice = { id: "u1" };
+const KEY = "users/u1/avatar.png";
+const path = (key) => encodeURIComponent(key);
+
+async function putAndDelete(env, key, bytes) {
+  await env.R2_BUCKET.put(key, bytes);
+  const response = await callWorker(env, "DELETE", `/delete/${path(key)}`, { user: alice });
+  return (await response.json()).deletionId;
+}
+
+async function listTrash(env, prefix) {
+  const response = await callWorker(env, "GET", `/trash?prefix=${encodeURIComponent(prefix)}`, { user: alice });
+  return (await response.json()).objects;
+}
+
+describe("trash", () => {
+  it("keeps a copy for every delete of the same key", async () => {
+    const env = createEnv();
+    const first = await putAndDelete(env, KEY, pngBytes(1, 1, 100));
+    const second = await putAndDelete(env, KEY, pngBytes(1, 1, 200));
+    assert.notEqual(first, second);
+
+    const listed = await listTrash(env, "users/u1/");
+    assert.deepEqual(listed.map((o) => [o.key, o.deletionId, o.size]), [
+      [KEY, first, 100],
+      [KEY, second, 200],
+    ]);
+  });
+
+  it("restores the newest copy, or the one named by deletion_id", async () => {
+    const env = createEnv();
+    const first = await putAndDelete(env, KEY, pngBytes(1, 1, 100));
+    await putAndDelete(env, KEY, pngBytes(1, 1, 200));
+
+    const restore = (query = "") => callWorker(env, "POST", `/trash/restore/${path(KEY)}${query}`, { user: alice });
+    assert.equal((await restore()).status, 200);
+    assert.equal(env.R2_BUCKET.objects.get(KEY).bytes.byteLength, 200);
+    assert.deepEqual(env.R2_BUCKET.objects.get(KEY).customMetadata, {});
+
+    const response = await restore(`?deletion_id=${first}&overwrite=true`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).deletionId, first);
+    assert.equal(env.R2_BUCKET.objects.get(KEY).bytes.byteLength, 100);
+    assert.deepEqual(await listTrash(env, "users/u1/"), []);
+  });
+
+  it("keeps copies of nested keys apart", async () => {
+    const env = createEnv();
+    await putAndDelete(env, KEY, pngBytes(1, 1, 100));
+    await putAndDelete(env, `${KEY}/thumb.png`, pngBytes(1, 1, 50));
+
+    assert.deepEqual((await listTrash(env, `${KEY}/`)).map((o) => o.key), [`${KEY}/thumb.png`]);
+
+    const restored = await callWorker(env, "POST", `/trash/restore/${path(KEY)}`, { user: alice });
+    assert.equal(restored.status, 200);
+    assert.equal(env.R2_BUCKET.objects.get(KEY).bytes.byteLength, 100);
+    assert.deepEqual((await listTrash(env, "users/u1/")).map((o) => o.key), [`${KEY}/thumb.png`]);
+  });
+
+  it("purges one copy by deletion_id, or every copy of the key", async () => {
+    const env = createEnv();
+    const first = await putAndDelete(env, KEY, pngBytes(1, 1, 100));
+    const second = await putAndDelete(env, KEY, pngBytes(1, 1, 200));
+    await putAndDelete(env, `${KEY}/thumb.png`, pngBytes(1, 1, 50));
+
+    const purge = (query = "") => callWorker(env, "DELETE", `/trash/purge/${path(KEY)}${query}`, { user: alice });
+    assert.equal((await (await purge(`?deletion_id=${first}`)).json()).purged, 1);
+    const remaining = (await listTrash(env, "users/u1/")).filter((o) => o.key === KEY);
+    assert.deepEqual(remaining.map((o) => o.deletionId), [second]);
+
+    await putAndDelete(env, KEY, pngBytes(1, 1, 300));
+    assert.equal((await (await purge()).json()).purged, 2);
+    assert.deepEqual((await listTrash(env, "users/u1/")).map((o) => o.key), [`${KEY}/thumb.png`]);
+    assert.equal((await purge()).status, 404);
+  });
+});
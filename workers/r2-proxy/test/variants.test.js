@@ -0,0 +1,65 @@
+// workers/r2-proxy/test/variants.test.js
+// Which resized variants a public GET may create under .variants/.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { callWorker, createEnv, pngBytes, WORKER_ORIGIN } from "./helpers.js";
+
+// Stands in for the Images binding: "encodes" by echoing the input
+const images = {
+  input(stream) {
+    const image = {
+      transform: () => image,
+      output: async ({ format }) => ({
+        response: () => new Response(stream),
+        contentType: () => format,
+      }),
+    };
+    return image;
+  },
+};
+
+function variantKeys(env) {
+  return [...env.R2_BUCKET.objects.keys()].filter((key) => key.startsWith(".variants/")).sort();
+}
+
+describe("image variants", () => {
+  it("snaps quality to a few fixed values", async () => {
+    const env = createEnv({ IMAGES: images });
+    await env.R2_BUCKET.put("products/shoe.png", pngBytes(), { httpMetadata: { contentType: "image/png" } });
+
+    for (const q of [1, 31, 47, 50, 56, 77, 83, 100]) {
+      const response = await callWorker(env, "GET", `/products/shoe.png?w=320&fmt=webp&q=${q}`);
+      assert.equal(response.status, 200, `q=${q}`);
+    }
+
+    const etag = env.R2_BUCKET.objects.get("products/shoe.png").etag;
+    assert.deepEqual(variantKeys(env), [
+      `.variants/products/shoe.png/${etag}/w320-q50.webp`,
+      `.variants/products/shoe.png/${etag}/w320-q80.webp`,
+      `.variants/products/shoe.png/${etag}/w320-q90.webp`,
+    ]);
+  });
+});
+
+describe("variant fallback", () => {
+  it("caches the original only briefly when the Images binding fails", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const failing = {
+      input() {
+        throw new Error("transform failed");
+      },
+    };
+    const env = createEnv({ IMAGES: failing });
+    await env.R2_BUCKET.put("products/hat.png", pngBytes(), { httpMetadata: { contentType: "image/png" } });
+
+    const response = await callWorker(env, "GET", "/products/hat.png?w=320&fmt=webp");
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Content-Type"), "image/png");
+    assert.equal(response.headers.get("Cache-Control"), "public, max-age=60");
+    assert.deepEqual(variantKeys(env), []);
+
+    const cached = await caches.default.match(`${WORKER_ORIGIN}/products/hat.png?w=320&fmt=webp&q=80`);
+    assert.equal(cached.headers.get("Cache-Control"), "public, max-age=60");
+  });
+});
@@ -0,0 +1,138 @@
+// workers/r2-proxy/test/versions.test.js
+// Prior versions kept under .versions/ when a write replaces a versioned key.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MemoryKV, callWorker, createEnv, pngBytes } from "./helpers.js";
+
+const alice = { id: "u1" };
+const KEY = "users/u1/avatar.png";
+
+function versionKeys(env) {
+  return [...env.R2_BUCKET.objects.keys()].filter((key) => key.startsWith(`.versions/${KEY}/`));
+}
+
+async function startMultipart(env) {
+  const created = await callWorker(env, "POST", "/multipart/create", {
+    user: alice,
+    body: { object_key: KEY, content_type: "image/png" },
+  });
+  const { uploadId } = await created.json();
+  const path = (action) => `/multipart/${action}/${encodeURIComponent(KEY)}?uploadId=${uploadId}`;
+
+  const part = await callWorker(env, "PUT", `${path("part")}&partNumber=1`, { user: alice, body: pngBytes(2, 2) });
+  const { etag } = await part.json();
+  const complete = (parts) => callWorker(env, "POST", path("complete"), { user: alice, body: { parts } });
+  return { etag, complete };
+}
+
+function upload(env, key, bytes) {
+  return callWorker(env, "PUT", `/upload/${encodeURIComponent(key)}`, {
+    user: alice,
+    headers: { "Content-Type": "image/png" },
+    body: bytes,
+  });
+}
+
+describe("version history", () => {
+  it("keeps versions of nested keys out of a key's history", async () => {
+    const env = createEnv({ VERSIONED_PREFIXES: "users/", MAX_VERSIONS_PER_KEY: "1" });
+    const nested = `${KEY}/thumb.png`;
+    for (const bytes of [pngBytes(1, 1, 100), pngBytes(1, 1, 200)]) await upload(env, nested, bytes);
+    for (const bytes of [pngBytes(1, 1, 300), pngBytes(1, 1, 400), pngBytes(1, 1, 500)]) await upload(env, KEY, bytes);
+
+    assert.equal(versionKeys(env).filter((key) => key.startsWith(`.versions/${nested}/`)).length, 1);
+
+    const response = await callWorker(env, "GET", `/versions?key=${encodeURIComponent(KEY)}`, { user: alice });
+    const { versions } = await response.json();
+    assert.deepEqual(versions.map((v) => v.size), [400]);
+  });
+
+  it("keeps versions saved in the same millisecond apart", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.UTC(2025, 0, 2) });
+    const env = createEnv({ VERSIONED_PREFIXES: "users/" });
+    for (const size of [100, 200, 300]) await upload(env, KEY, pngBytes(1, 1, size));
+    assert.equal(versionKeys(env).length, 2);
+  });
+});
+
+describe("version quota", () => {
+  const usedBytes = (env) => env.USAGE_KV.get("usage:user:u1:bytes");
+
+  it("charges saved versions and credits pruned ones", async () => {
+    const env = createEnv({ VERSIONED_PREFIXES: "users/", MAX_VERSIONS_PER_KEY: "1", USAGE_KV: new MemoryKV() });
+    await upload(env, KEY, pngBytes(1, 1, 100));
+    await upload(env, KEY, pngBytes(1, 1, 200));
+    assert.equal(await usedBytes(env), "300");
+
+    // Saving the 200-byte version prunes the 100-byte one
+    await upload(env, KEY, pngBytes(1, 1, 150));
+    assert.equal(await usedBytes(env), "350");
+  });
+
+  it("counts the version an overwrite would save against the quota", async () => {
+    const env = createEnv({ VERSIONED_PREFIXES: "users/", QUOTA_USER_BYTES: "250", USAGE_KV: new MemoryKV() });
+    await upload(env, KEY, pngBytes(1, 1, 100));
+    assert.equal((await upload(env, KEY, pngBytes(1, 1, 160))).status, 413);
+    assert.deepEqual(versionKeys(env), []);
+    assert.equal((await upload(env, KEY, pngBytes(1, 1, 150))).status, 200);
+    assert.equal(await usedBytes(env), "250");
+  });
+});
+
+describe("multipart versioning", () => {
+  it("saves the replaced object once the upload completes", async () => {
+    const env = createEnv({ VERSIONED_PREFIXES: "users/" });
+    await env.R2_BUCKET.put(KEY, pngBytes(1, 1));
+
+    const { etag, complete } = await startMultipart(env);
+    const response = await complete([{ partNumber: 1, etag }]);
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.deepEqual(versionKeys(env), [`.versions/${KEY}/${body.previousVersionId}`]);
+  });
+
+  it("saves no version when complete fails", async () => {
+    const env = createEnv({ VERSIONED_PREFIXES: "users/" });
+    await env.R2_BUCKET.put(KEY, pngBytes(1, 1));
+
+    const { complete } = await startMultipart(env);
+    const response = await complete([{ partNumber: 1, etag: "not-the-etag" }]);
+    assert.equal(response.status, 400);
+    assert.deepEqual(versionKeys(env), []);
+  });
+});
+
+describe("restoring from trash over an object", () => {
+  const restore = (env) => callWorker(env, "POST", `/trash/restore/${encodeURIComponent(KEY)}?overwrite=true`, {
+    user: alice,
+  });
+
+  async function setup(vars = {}) {
+    const env = createEnv({ VERSIONED_PREFIXES: "users/", USAGE_KV: new MemoryKV(), ...vars });
+    await env.R2_BUCKET.put(KEY, pngBytes(1, 1, 300));
+    await callWorker(env, "DELETE", `/delete/${encodeURIComponent(KEY)}`, { user: alice });
+    await env.R2_BUCKET.put(KEY, pngBytes(1, 1, 100));
+    await env.USAGE_KV.put("usage:user:u1:bytes", "100");
+    return env;
+  }
+
+  it("keeps the replaced object as a version and charges for both", async () => {
+    const env = await setup();
+    const response = await restore(env);
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.deepEqual(versionKeys(env), [`.versions/${KEY}/${body.previousVersionId}`]);
+    assert.equal(env.R2_BUCKET.objects.get(KEY).bytes.byteLength, 300);
+    assert.equal(await env.USAGE_KV.get("usage:user:u1:bytes"), "400");
+  });
+
+  it("checks the quota", async () => {
+    const env = await setup({ QUOTA_USER_BYTES: "200" });
+    assert.equal((await restore(env)).status, 413);
+    assert.equal(env.R2_BUCKET.objects.get(KEY).bytes.byteLength, 100);
+    assert.equal([...env.R2_BUCKET.objects.keys()].filter((key) => key.startsWith(`trash/${KEY}/`)).length, 1);
+  });
+});
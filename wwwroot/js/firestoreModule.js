@@ -82,6 +82,7 @@ window.firestoreModule = (function () {
                         if (!manuallyDisconnected) {
                             isOffline = !snapshot.val();
                             console.log("🔌 Connection state:", isOffline ? "Offline" : "Online");
+                            if (!isOffline) processPendingOperations();
                         }
                     });
                 } catch (monitorError) {
@@ -115,6 +116,7 @@ window.firestoreModule = (function () {
                 await firebase.firestore().enableNetwork();
                 isOffline = !navigator.onLine;
                 console.log("✓ Firebase connection manually enabled");
+                processPendingOperations();
             } else {
                 await firebase.firestore().disableNetwork();
                 isOffline = true;
@@ -149,10 +151,7 @@ window.firestoreModule = (function () {
             const doc = await docRef.get();
 
             if (doc.exists) {
-                const data = doc.data();
-                if (data && typeof data === 'object') {
-                    data.id = doc.id;
-                }
+                const data = docToData(doc);
                 console.log(`✓ Document found: ${collection}/${id}`);
                 return JSON.stringify(data);
             } else {
@@ -169,29 +168,14 @@ window.firestoreModule = (function () {
         try {
             console.log(`➕ Adding document to ${collection}${customId ? ` with ID ${customId}` : ''}`);
 
-            if (!isInitialized || !db) {
-                console.log("⚠️ Firestore not initialized, initializing now...");
-                await initializeFirestore();
-            }
-
-            let data = JSON.parse(jsonData);
-            data = JSON.parse(JSON.stringify(data));
-
-            let docRef;
-            if (customId) {
-                docRef = db.collection(collection).doc(customId);
-                await docRef.set(data);
-                console.log(`✓ Document created: ${collection}/${customId}`);
-                return customId;
-            } else {
-                docRef = await db.collection(collection).add(data);
-                console.log(`✓ Document created: ${collection}/${docRef.id}`);
-                return docRef.id;
-            }
+            const docId = await writeExecutors.addDocument(collection, jsonData, customId);
+            console.log(`✓ Document created: ${collection}/${docId}`);
+            return docId;
         } catch (error) {
             console.error(`❌ Error adding document to ${collection}:`, error);
-            if (isOffline) storeOfflineOperation({ collection, data: jsonData, operation: 'add', timestamp: Date.now() });
-            return null;
+            // A queued add is written under the ID it was queued with
+            const queued = await queueOfflineOperation('addDocument', [collection, jsonData, customId], error);
+            return queued ? queued.args[2] : null;
         }
     }
 
@@ -199,19 +183,12 @@ window.firestoreModule = (function () {
         try {
             console.log(`✏️ Updating document: ${collection}/${id}`);
 
-            if (!isInitialized || !db) {
-                console.log("⚠️ Firestore not initialized, initializing now...");
-                await initializeFirestore();
-            }
-
-            let data = JSON.parse(jsonData);
-            data = removeUndefinedConservative(data);
-
-            await db.collection(collection).doc(id).update(data);
+            await writeExecutors.updateDocument(collection, id, jsonData);
             console.log(`✓ Document updated: ${collection}/${id}`);
             return true;
         } catch (error) {
             console.error(`❌ Error updating document ${collection}/${id}:`, error);
+            await queueOfflineOperation('updateDocument', [collection, id, jsonData], error);
             return false;
         }
     }
@@ -220,17 +197,12 @@ window.firestoreModule = (function () {
         try {
             console.log(`🗑️ Deleting document: ${collection}/${id}`);
 
-            if (!isInitialized || !db) {
-                console.log("⚠️ Firestore not initialized, initializing now...");
-                await initializeFirestore();
-            }
-
-            await db.collection(collection).doc(id).delete();
+            await writeExecutors.deleteDocument(collection, id);
             console.log(`✓ Document deleted: ${collection}/${id}`);
             return true;
         } catch (error) {
             console.error(`❌ Error deleting document ${collection}/${id}:`, error);
-            if (isOffline) storeOfflineOperation({ collection, id, operation: 'delete', timestamp: Date.now() });
+            await queueOfflineOperation('deleteDocument', [collection, id], error);
             return false;
         }
     }
@@ -243,39 +215,13 @@ window.firestoreModule = (function () {
         try {
             console.log(`➕ Adding to subcollection: ${collection}/${docId}/${subcollection}${customId ? `/${customId}` : ''}`);
 
-            if (!isInitialized || !db) {
-                console.log("⚠️ Firestore not initialized, initializing now...");
-                await initializeFirestore();
-            }
-
-            let data = JSON.parse(jsonData);
-            data = JSON.parse(JSON.stringify(data));
-
-            const subcollectionRef = db.collection(collection).doc(docId).collection(subcollection);
-
-            let docRef;
-            if (customId) {
-                docRef = subcollectionRef.doc(customId);
-                await docRef.set(data);
-                console.log(`✓ Subcollection document created: ${collection}/${docId}/${subcollection}/${customId}`);
-                return customId;
-            } else {
-                docRef = await subcollectionRef.add(data);
-                console.log(`✓ Subcollection document created: ${collection}/${docId}/${subcollection}/${docRef.id}`);
-                return docRef.id;
-            }
+            const subdocId = await writeExecutors.addToSubcollection(collection, docId, subcollection, jsonData, customId);
+            console.log(`✓ Subcollection document created: ${collection}/${docId}/${subcollection}/${subdocId}`);
+            return subdocId;
         } catch (error) {
             console.error(`❌ Error adding to subcollection ${collection}/${docId}/${subcollection}:`, error);
-            if (isOffline) storeOfflineOperation({ 
-                collection, 
-                docId, 
-                subcollection, 
-                data: jsonData, 
-                customId,
-                operation: 'addToSubcollection', 
-                timestamp: Date.now() 
-            });
-            return null;
+            const queued = await queueOfflineOperation('addToSubcollection', [collection, docId, subcollection, jsonData, customId], error);
+            return queued ? queued.args[4] : null;
         }
     }
 
@@ -295,11 +241,7 @@ window.firestoreModule = (function () {
 
             const data = [];
             querySnapshot.forEach((doc) => {
-                const item = doc.data();
-                if (item && typeof item === 'object') {
-                    item.id = doc.id;
-                }
-                data.push(item);
+                data.push(docToData(doc));
             });
 
             console.log(`✓ Retrieved ${data.length} documents from ${collection}/${docId}/${subcollection}`);
@@ -327,10 +269,7 @@ window.firestoreModule = (function () {
             const doc = await docRef.get();
 
             if (doc.exists) {
-                const data = doc.data();
-                if (data && typeof data === 'object') {
-                    data.id = doc.id;
-                }
+                const data = docToData(doc);
                 console.log(`✓ Subcollection document found`);
                 return JSON.stringify(data);
             } else {
@@ -347,24 +286,12 @@ window.firestoreModule = (function () {
         try {
             console.log(`✏️ Updating subcollection document: ${collection}/${docId}/${subcollection}/${subdocId}`);
 
-            if (!isInitialized || !db) {
-                console.log("⚠️ Firestore not initialized, initializing now...");
-                await initializeFirestore();
-            }
-
-            let data = JSON.parse(jsonData);
-            data = removeUndefinedConservative(data);
-
-            await db.collection(collection)
-                .doc(docId)
-                .collection(subcollection)
-                .doc(subdocId)
-                .update(data);
-
+            await writeExecutors.updateSubcollectionDocument(collection, docId, subcollection, subdocId, jsonData);
             console.log(`✓ Subcollection document updated`);
             return true;
         } catch (error) {
             console.error(`❌ Error updating subcollection document:`, error);
+            await queueOfflineOperation('updateSubcollectionDocument', [collection, docId, subcollection, subdocId, jsonData], error);
             return false;
         }
     }
@@ -373,29 +300,12 @@ window.firestoreModule = (function () {
         try {
             console.log(`🗑️ Deleting subcollection document: ${collection}/${docId}/${subcollection}/${subdocId}`);
 
-            if (!isInitialized || !db) {
-                console.log("⚠️ Firestore not initialized, initializing now...");
-                await initializeFirestore();
-            }
-
-            await db.collection(collection)
-                .doc(docId)
-                .collection(subcollection)
-                .doc(subdocId)
-                .delete();
-
+            await writeExecutors.deleteSubcollectionDocument(collection, docId, subcollection, subdocId);
             console.log(`✓ Subcollection document deleted`);
             return true;
         } catch (error) {
             console.error(`❌ Error deleting subcollection document:`, error);
-            if (isOffline) storeOfflineOperation({ 
-                collection, 
-                docId, 
-                subcollection, 
-                subdocId,
-                operation: 'deleteSubcollectionDocument', 
-                timestamp: Date.now() 
-            });
+            await queueOfflineOperation('deleteSubcollectionDocument', [collection, docId, subcollection, subdocId], error);
             return false;
         }
     }
@@ -409,7 +319,7 @@ window.firestoreModule = (function () {
                 await initializeFirestore();
             }
 
-            let value = JSON.parse(jsonValue);
+            let value = decodeValue(JSON.parse(jsonValue));
             const querySnapshot = await db.collection(collection)
                 .doc(docId)
                 .collection(subcollection)
@@ -418,11 +328,7 @@ window.firestoreModule = (function () {
 
             const data = [];
             querySnapshot.forEach((doc) => {
-                const item = doc.data();
-                if (item && typeof item === 'object') {
-                    item.id = doc.id;
-                }
-                data.push(item);
+                data.push(docToData(doc));
             });
 
             console.log(`✓ Subcollection query returned ${data.length} documents`);
@@ -439,69 +345,48 @@ window.firestoreModule = (function () {
 
     async function addOrUpdateField(collection, docId, fieldName, jsonValue) {
         try {
-            if (!isInitialized || !db) await initializeFirestore();
-
-            let value = JSON.parse(jsonValue);
-            const updateData = {};
-            updateData[fieldName] = value;
-
-            await db.collection(collection).doc(docId).update(updateData);
+            await writeExecutors.addOrUpdateField(collection, docId, fieldName, jsonValue);
             console.log(`✓ Field ${fieldName} updated in ${collection}/${docId}`);
             return true;
         } catch (error) {
             console.error(`❌ Error updating field ${fieldName}:`, error);
+            await queueOfflineOperation('addOrUpdateField', [collection, docId, fieldName, jsonValue], error);
             return false;
         }
     }
 
     async function updateFields(collection, docId, jsonFields) {
         try {
-            if (!isInitialized || !db) await initializeFirestore();
-
-            let fields = JSON.parse(jsonFields);
-            fields = removeUndefinedConservative(fields);
-
-            await db.collection(collection).doc(docId).update(fields);
+            await writeExecutors.updateFields(collection, docId, jsonFields);
             console.log(`✓ Multiple fields updated in ${collection}/${docId}`);
             return true;
         } catch (error) {
             console.error(`❌ Error updating fields in ${collection}/${docId}:`, error);
+            await queueOfflineOperation('updateFields', [collection, docId, jsonFields], error);
             return false;
         }
     }
 
     async function removeField(collection, docId, fieldName) {
         try {
-            if (!isInitialized || !db) await initializeFirestore();
-
-            const updateData = {};
-            updateData[fieldName] = firebase.firestore.FieldValue.delete();
-
-            await db.collection(collection).doc(docId).update(updateData);
+            await writeExecutors.removeField(collection, docId, fieldName);
             console.log(`✓ Field ${fieldName} removed from ${collection}/${docId}`);
             return true;
         } catch (error) {
             console.error(`❌ Error removing field ${fieldName}:`, error);
+            await queueOfflineOperation('removeField', [collection, docId, fieldName], error);
             return false;
         }
     }
 
     async function removeFields(collection, docId, fieldNames) {
         try {
-            if (!isInitialized || !db) await initializeFirestore();
-
-            const fieldsArray = JSON.parse(fieldNames);
-            const updateData = {};
-
-            fieldsArray.forEach(fieldName => {
-                updateData[fieldName] = firebase.firestore.FieldValue.delete();
-            });
-
-            await db.collection(collection).doc(docId).update(updateData);
-            console.log(`✓ Fields ${fieldsArray.join(', ')} removed from ${collection}/${docId}`);
+            await writeExecutors.removeFields(collection, docId, fieldNames);
+            console.log(`✓ Fields ${JSON.parse(fieldNames).join(', ')} removed from ${collection}/${docId}`);
             return true;
         } catch (error) {
             console.error(`❌ Error removing fields:`, error);
+            await queueOfflineOperation('removeFields', [collection, docId, fieldNames], error);
             return false;
         }
     }
@@ -515,7 +400,7 @@ window.firestoreModule = (function () {
             if (doc.exists) {
                 const data = doc.data();
                 const fieldValue = data[fieldName];
-                return fieldValue !== undefined ? JSON.stringify(fieldValue) : null;
+                return fieldValue !== undefined ? JSON.stringify(encodeValue(fieldValue)) : null;
             }
             return null;
         } catch (error) {
@@ -530,34 +415,24 @@ window.firestoreModule = (function () {
 
     async function addToArrayField(collection, docId, fieldName, jsonValue) {
         try {
-            if (!isInitialized || !db) await initializeFirestore();
-
-            let value = JSON.parse(jsonValue);
-            const updateData = {};
-            updateData[fieldName] = firebase.firestore.FieldValue.arrayUnion(value);
-
-            await db.collection(collection).doc(docId).update(updateData);
+            await writeExecutors.addToArrayField(collection, docId, fieldName, jsonValue);
             console.log(`✓ Item added to array field ${fieldName}`);
             return true;
         } catch (error) {
             console.error(`❌ Error adding to array field ${fieldName}:`, error);
+            await queueOfflineOperation('addToArrayField', [collection, docId, fieldName, jsonValue], error);
             return false;
         }
     }
 
     async function removeFromArrayField(collection, docId, fieldName, jsonValue) {
         try {
-            if (!isInitialized || !db) await initializeFirestore();
-
-            let value = JSON.parse(jsonValue);
-            const updateData = {};
-            updateData[fieldName] = firebase.firestore.FieldValue.arrayRemove(value);
-
-            await db.collection(collection).doc(docId).update(updateData);
+            await writeExecutors.removeFromArrayField(collection, docId, fieldName, jsonValue);
             console.log(`✓ Item removed from array field ${fieldName}`);
             return true;
         } catch (error) {
             console.error(`❌ Error removing from array field ${fieldName}:`, error);
+            await queueOfflineOperation('removeFromArrayField', [collection, docId, fieldName, jsonValue], error);
             return false;
         }
     }
@@ -579,11 +454,7 @@ window.firestoreModule = (function () {
             const data = [];
 
             querySnapshot.forEach((doc) => {
-                const item = doc.data();
-                if (item && typeof item === 'object') {
-                    item.id = doc.id;
-                }
-                data.push(item);
+                data.push(docToData(doc));
             });
 
             console.log(`✓ Retrieved ${data.length} documents from ${collection}`);
@@ -603,16 +474,12 @@ window.firestoreModule = (function () {
                 await initializeFirestore();
             }
 
-            let value = JSON.parse(jsonValue);
+            let value = decodeValue(JSON.parse(jsonValue));
             const querySnapshot = await db.collection(collection).where(field, "==", value).get();
             const data = [];
 
             querySnapshot.forEach((doc) => {
-                const item = doc.data();
-                if (item && typeof item === 'object') {
-                    item.id = doc.id;
-                }
-                data.push(item);
+                data.push(docToData(doc));
             });
 
             console.log(`✓ Query returned ${data.length} documents`);
@@ -625,196 +492,1417 @@ window.firestoreModule = (function () {
 
     async function addBatch(collection, jsonItems) {
         try {
-            if (!isInitialized || !db) await initializeFirestore();
-
-            let items = JSON.parse(jsonItems);
-            items = JSON.parse(JSON.stringify(items));
-
-            const batch = db.batch();
-
-            items.forEach((item) => {
-                const docId = item.id || db.collection(collection).doc().id;
-                const docRef = db.collection(collection).doc(docId);
-                const itemCopy = {...item};
-
-                if ('id' in itemCopy) {
-                    delete itemCopy.id;
-                }
-
-                batch.set(docRef, itemCopy);
-            });
-
-            await batch.commit();
-            console.log(`✓ Batch added ${items.length} documents to ${collection}`);
+            const count = await writeExecutors.addBatch(collection, jsonItems);
+            console.log(`✓ Batch added ${count} documents to ${collection}`);
             return true;
         } catch (error) {
             console.error(`❌ Error adding batch to ${collection}:`, error);
-            if (isOffline) storeOfflineOperation({ collection, data: jsonItems, operation: 'batch', timestamp: Date.now() });
+            await queueOfflineOperation('addBatch', [collection, jsonItems], error);
             return false;
         }
     }
 
     //#endregion
 
-    //#region ==================== UTILITY FUNCTIONS ====================
+    //#region ==================== QUERY BUILDER ====================
+
+    // Query specs arrive from C# as JSON:
+    // {
+    //   "where":   [{ "field": "status", "op": "in", "value": ["pending", "paid"] }],
+    //   "orderBy": [{ "field": "created_at", "direction": "desc" }],
+    //   "limit": 20,
+    //   "startAfter": "<nextCursor from the previous page>"
+    // }
+    // Cursors are document paths, so a page resumes exactly after the last
+    // document returned regardless of the orderBy fields.
+
+    const QUERY_OPERATORS = ['<', '<=', '==', '!=', '>=', '>', 'in', 'not-in', 'array-contains', 'array-contains-any'];
+    const MAX_QUERY_LIMIT = 500;
+
+    function queryFilters(spec) {
+        return (spec.where || []).map(filter => {
+            if (!filter.field) throw new Error('Query filter is missing a field');
+            if (!QUERY_OPERATORS.includes(filter.op)) throw new Error(`Unsupported query operator: ${filter.op}`);
+            return filter;
+        });
+    }
 
-    function removeUndefinedConservative(obj) {
-        if (obj === null || typeof obj !== 'object') return obj;
+    function queryOrders(spec) {
+        return (spec.orderBy || []).map(order => {
+            if (!order.field) throw new Error('Query orderBy is missing a field');
+            const direction = (order.direction || 'asc').toLowerCase() === 'desc' ? 'desc' : 'asc';
+            return { field: order.field, direction };
+        });
+    }
 
-        if (Array.isArray(obj)) {
-            return obj.map(removeUndefinedConservative);
-        }
+    function queryLimit(spec) {
+        const requestedLimit = parseInt(spec.limit);
+        return requestedLimit > 0 ? Math.min(requestedLimit, MAX_QUERY_LIMIT) : null;
+    }
 
-        const cleaned = {};
-        for (const [key, value] of Object.entries(obj)) {
-            if (value !== undefined) {
-                if (typeof value === 'object' && value !== null) {
-                    const cleanedValue = removeUndefinedConservative(value);
-                    if (Array.isArray(cleanedValue) || Object.keys(cleanedValue).length > 0) {
-                        cleaned[key] = cleanedValue;
-                    }
-                } else {
-                    cleaned[key] = value;
-                }
-            }
+    async function buildQuery(ref, spec) {
+        let query = ref;
+
+        queryFilters(spec).forEach(filter => {
+            query = query.where(filter.field, filter.op, decodeValue(filter.value));
+        });
+
+        queryOrders(spec).forEach(order => {
+            query = query.orderBy(order.field, order.direction);
+        });
+
+        if (spec.startAfter) {
+            const cursorDoc = await db.doc(spec.startAfter).get();
+            if (!cursorDoc.exists) throw new Error(`Query cursor no longer exists: ${spec.startAfter}`);
+            query = query.startAfter(cursorDoc);
         }
-        return cleaned;
+
+        return query;
     }
 
-    //#endregion
+    async function runPagedQuery(ref, jsonQuery, label) {
+        const spec = jsonQuery ? JSON.parse(jsonQuery) : {};
+        const limit = queryLimit(spec);
 
-    //#region ==================== OFFLINE SUPPORT ====================
+        let query = await buildQuery(ref, spec);
+        // One extra document tells us whether another page exists
+        if (limit) query = query.limit(limit + 1);
+
+        const querySnapshot = await query.get();
+        const docs = limit ? querySnapshot.docs.slice(0, limit) : querySnapshot.docs;
+        const hasMore = limit !== null && querySnapshot.docs.length > limit;
+
+        console.log(`✓ Query on ${label} returned ${docs.length} documents${hasMore ? ' (more available)' : ''}`);
+        return JSON.stringify({
+            items: docs.map(docToData),
+            nextCursor: hasMore ? docs[docs.length - 1].ref.path : null
+        });
+    }
 
-    function storeOfflineOperation(operation) {
+    async function queryCollectionPage(collection, jsonQuery) {
         try {
-            const storageKey = 'firestore_offline_operations';
-            const existingOps = JSON.parse(localStorage.getItem(storageKey) || '[]');
-            existingOps.push(operation);
-            localStorage.setItem(storageKey, JSON.stringify(existingOps));
-            console.log('💾 Operation stored for offline use:', operation);
+            console.log(`🔍 Querying collection ${collection} with ${jsonQuery}`);
+
+            if (!isInitialized || !db) {
+                console.log("⚠️ Firestore not initialized, initializing now...");
+                await initializeFirestore();
+            }
+
+            return await runPagedQuery(db.collection(collection), jsonQuery, collection);
         } catch (error) {
-            console.error('❌ Error storing offline operation:', error);
+            console.error(`❌ Error querying collection ${collection}:`, error);
+            return JSON.stringify({ items: [], nextCursor: null });
         }
     }
 
-    async function processPendingOperations() {
-        if (!navigator.onLine || !isInitialized || manuallyDisconnected) return;
-
-        const storageKey = 'firestore_offline_operations';
+    async function querySubcollectionPage(collection, docId, subcollection, jsonQuery) {
         try {
-            const pendingOps = JSON.parse(localStorage.getItem(storageKey) || '[]');
-            if (pendingOps.length === 0) return;
+            console.log(`🔍 Querying subcollection ${collection}/${docId}/${subcollection} with ${jsonQuery}`);
 
-            console.log(`⚙️ Processing ${pendingOps.length} pending operations`);
-            pendingOps.sort((a, b) => a.timestamp - b.timestamp);
+            if (!isInitialized || !db) {
+                console.log("⚠️ Firestore not initialized, initializing now...");
+                await initializeFirestore();
+            }
 
-            const successfulOps = [];
+            const ref = db.collection(collection).doc(docId).collection(subcollection);
+            return await runPagedQuery(ref, jsonQuery, `${collection}/${docId}/${subcollection}`);
+        } catch (error) {
+            console.error(`❌ Error querying subcollection ${collection}/${docId}/${subcollection}:`, error);
+            return JSON.stringify({ items: [], nextCursor: null });
+        }
+    }
 
-            for (const op of pendingOps) {
-                try {
-                    let success = false;
-
-                    switch (op.operation) {
-                        case 'add':
-                            const addResult = await addDocument(op.collection, op.data, op.id);
-                            success = !!addResult;
-                            break;
-                        case 'update':
-                            success = await updateDocument(op.collection, op.id, op.data);
-                            break;
-                        case 'delete':
-                            success = await deleteDocument(op.collection, op.id);
-                            break;
-                        case 'batch':
-                            success = await addBatch(op.collection, op.data);
-                            break;
-                        case 'addToSubcollection':
-                            const subAddResult = await addToSubcollection(
-                                op.collection, 
-                                op.docId, 
-                                op.subcollection, 
-                                op.data, 
-                                op.customId
-                            );
-                            success = !!subAddResult;
-                            break;
-                        case 'deleteSubcollectionDocument':
-                            success = await deleteSubcollectionDocument(
-                                op.collection, 
-                                op.docId, 
-                                op.subcollection, 
-                                op.subdocId
-                            );
-                            break;
-                    }
+    // Queries every subcollection named collectionId, whatever its parent,
+    // e.g. "conversations" across all messages/{userId}. Filters on fields
+    // other than the document ID need a collection-group index.
+    async function queryCollectionGroupPage(collectionId, jsonQuery) {
+        try {
+            console.log(`🔍 Querying collection group ${collectionId} with ${jsonQuery}`);
 
-                    if (success) {
-                        successfulOps.push(op);
-                    }
-                } catch (error) {
-                    console.error('❌ Error processing pending operation:', error, op);
-                }
+            if (!isInitialized || !db) {
+                console.log("⚠️ Firestore not initialized, initializing now...");
+                await initializeFirestore();
             }
 
-            const remainingOps = pendingOps.filter(op =>
-                !successfulOps.some(sop =>
-                    sop.timestamp === op.timestamp &&
-                    sop.operation === op.operation
-                )
-            );
+            return await runPagedQuery(db.collectionGroup(collectionId), jsonQuery, `group ${collectionId}`);
+        } catch (error) {
+            console.error(`❌ Error querying collection group ${collectionId}:`, error);
+            return JSON.stringify({ items: [], nextCursor: null });
+        }
+    }
 
-            localStorage.setItem(storageKey, JSON.stringify(remainingOps));
-            console.log(`✓ Processed ${successfulOps.length} operations, ${remainingOps.length} remaining`);
+    //#endregion
 
-        } catch (error) {
-            console.error('❌ Error processing pending operations:', error);
+    //#region ==================== AGGREGATIONS ====================
+
+    // count/sum/average run on the server, so only the results are downloaded.
+    // The compat SDK has no aggregation API, so they go through the modular
+    // build that index.html loads at the same SDK version (9.22 exports sum
+    // and average, just without type declarations), on an app that
+    // serves nothing but these one-shot requests. Aggregations can't be
+    // answered from the offline cache, so they fail fast while offline and
+    // callers can fall back to a compat query.
+    //
+    // Aggregations arrive as JSON keyed by result name:
+    //   { "conversations": { "op": "count" },
+    //     "unread": { "op": "sum", "field": "unread_count" } }
+    // and come back as { "success": true, "values": { "conversations": 4, "unread": 9 } }.
+    // Queries use the same where/orderBy/limit/startAfter spec as above.
+    // average is null when no document has a numeric value for the field.
+
+    const AGGREGATION_APP_NAME = 'firestore-aggregations';
+    const AGGREGATE_OPERATIONS = ['count', 'sum', 'average'];
+    const MAX_AGGREGATIONS = 5;
+    let modularFirestore = null;
+
+    function getModularFirestore() {
+        if (!modularFirestore) {
+            const modular = window.firebaseModular;
+            if (!modular) throw new Error('Modular Firestore SDK is not loaded');
+
+            const app = modular.app.getApps().find(existing => existing.name === AGGREGATION_APP_NAME)
+                || modular.app.initializeApp(firebase.app().options, AGGREGATION_APP_NAME);
+
+            modularFirestore = { sdk: modular.firestore, db: modular.firestore.getFirestore(app) };
+            console.log("✓ Modular Firestore ready for aggregations");
         }
+        return modularFirestore;
     }
 
-    async function isConnected() {
+    function buildAggregateSpec(sdk, aggregations) {
+        const entries = Object.entries(aggregations || {});
+        if (entries.length === 0) throw new Error('No aggregations requested');
+        if (entries.length > MAX_AGGREGATIONS) {
+            throw new Error(`At most ${MAX_AGGREGATIONS} aggregations can run in one query`);
+        }
+
+        const spec = {};
+        entries.forEach(([name, aggregation]) => {
+            if (!AGGREGATE_OPERATIONS.includes(aggregation.op)) {
+                throw new Error(`Unsupported aggregation: ${aggregation.op}`);
+            }
+            if (aggregation.op === 'count') {
+                spec[name] = sdk.count();
+                return;
+            }
+            if (!aggregation.field) throw new Error(`Aggregation ${name} is missing a field`);
+            spec[name] = sdk[aggregation.op](aggregation.field);
+        });
+        return spec;
+    }
+
+    async function runAggregation(getBase, jsonQuery, jsonAggregations, label) {
         try {
-            if (manuallyDisconnected) return false;
+            console.log(`🧮 Aggregating ${label} with ${jsonAggregations}`);
 
-            if (!isInitialized) {
-                const initResult = await initializeFirestore();
-                if (!initResult) return false;
+            if (isOffline || manuallyDisconnected || !navigator.onLine) {
+                throw new Error('Aggregations need a connection to the server');
             }
 
-            return new Promise((resolve) => {
-                const connectedRef = firebase.database().ref(".info/connected");
-                connectedRef.once("value", (snap) => {
-                    const connected = snap.val() === true;
-                    isOffline = !connected;
-                    resolve(connected);
-                });
-            });
+            const spec = jsonQuery ? JSON.parse(jsonQuery) : {};
+            const { sdk, db: modularDb } = getModularFirestore();
+
+            const types = {
+                timestamp: (date) => sdk.Timestamp.fromDate(date),
+                geopoint: (lat, lng) => new sdk.GeoPoint(lat, lng),
+                reference: (path) => sdk.doc(modularDb, path)
+            };
+            const constraints = [
+                ...queryFilters(spec).map(filter => sdk.where(filter.field, filter.op, decodeValue(filter.value, { types }))),
+                ...queryOrders(spec).map(order => sdk.orderBy(order.field, order.direction))
+            ];
+            if (spec.startAfter) {
+                const cursorDoc = await sdk.getDoc(sdk.doc(modularDb, spec.startAfter));
+                if (!cursorDoc.exists()) throw new Error(`Query cursor no longer exists: ${spec.startAfter}`);
+                constraints.push(sdk.startAfter(cursorDoc));
+            }
+            const limit = queryLimit(spec);
+            if (limit) constraints.push(sdk.limit(limit));
+
+            const query = sdk.query(getBase(sdk, modularDb), ...constraints);
+            const snapshot = await sdk.getAggregateFromServer(query, buildAggregateSpec(sdk, JSON.parse(jsonAggregations)));
+            const values = snapshot.data();
+
+            console.log(`✓ Aggregated ${label}:`, values);
+            return JSON.stringify({ success: true, values, error: null });
         } catch (error) {
-            console.error("❌ Error checking connection:", error);
-            return false;
+            console.error(`❌ Error aggregating ${label}:`, error);
+            return JSON.stringify({ success: false, values: {}, error: error.message });
         }
     }
 
-    function getManualConnectionState() {
-        return !manuallyDisconnected;
+    async function aggregateCollection(collection, jsonQuery, jsonAggregations) {
+        return runAggregation(
+            (sdk, modularDb) => sdk.collection(modularDb, collection),
+            jsonQuery, jsonAggregations, collection
+        );
     }
 
-    window.addEventListener('online', () => {
-        if (!manuallyDisconnected) {
-            console.log('🌐 Back online, processing pending operations');
-            processPendingOperations();
-        }
-    });
+    async function aggregateSubcollection(collection, docId, subcollection, jsonQuery, jsonAggregations) {
+        return runAggregation(
+            (sdk, modularDb) => sdk.collection(modularDb, collection, docId, subcollection),
+            jsonQuery, jsonAggregations, `${collection}/${docId}/${subcollection}`
+        );
+    }
+
+    async function aggregateCollectionGroup(collectionId, jsonQuery, jsonAggregations) {
+        return runAggregation(
+            (sdk, modularDb) => sdk.collectionGroup(modularDb, collectionId),
+            jsonQuery, jsonAggregations, `group ${collectionId}`
+        );
+    }
 
     //#endregion
 
-    // Public API
-    return {
-        // Initialization
-        initializeFirestore,
-        setConnectionState,
-        getManualConnectionState,
-        isConnected,
-        processPendingOperations,
+    //#region ==================== TRANSACTIONS & BATCHED WRITES ====================
+
+    // Writes use full document paths, so subcollections work the same way as
+    // top-level collections:
+    //   { "op": "set",    "path": "orders/o1", "data": {...}, "merge": false }
+    //   { "op": "update", "path": "products/p1", "data": {...}, "increment": { "stock": -2 } }
+    //   { "op": "delete", "path": "carts/u1/items/i1" }
+    //
+    // A transaction spec adds reads and conditions:
+    // {
+    //   "reads":      ["products/p1"],
+    //   "conditions": [{ "path": "products/p1", "field": "stock", "op": ">=", "value": 2 },
+    //                  { "path": "orders/o1", "exists": false }],
+    //   "writes":     [...]
+    // }
+    // Every document named in reads, conditions or an increment write is read
+    // inside the transaction. If a condition fails nothing is written.
+    // "increment" adds to the value read in the same transaction (a missing
+    // field counts as 0), so concurrent decrements can't lose updates.
+    // Transactions need the server, so unlike the other writes they are never
+    // queued for offline replay — callers get the failure back instead.
+    //
+    // writeBatch splits its writes into chunks of BATCH_WRITE_LIMIT. Each
+    // chunk is atomic but the batch as a whole is not: on failure "committed"
+    // says how many writes landed and only the rest is queued for replay.
+    // Batches can't read, so they reject "increment".
+
+    const BATCH_WRITE_LIMIT = 500;
+    const WRITE_OPERATIONS = ['set', 'update', 'delete'];
+
+    class TransactionConditionError extends Error {}
+
+    function getFieldValue(data, fieldPath) {
+        return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+    }
+
+    // update() reads dotted keys as field paths, but set() would store them
+    // as literal keys, so set data gets the nested form instead
+    function setFieldValue(data, fieldPath, value) {
+        const keys = fieldPath.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => {
+            const child = object[key];
+            if (!child || Object.getPrototypeOf(child) !== Object.prototype) object[key] = {};
+            return object[key];
+        }, data);
+        parent[last] = value;
+    }
+
+    function conditionHolds(condition, snapshot) {
+        if (condition.exists !== undefined && condition.exists !== null) {
+            return snapshot.exists === condition.exists;
+        }
+        if (!snapshot.exists) return false;
+
+        // Compared in their JSON encoding, so a "$timestamp" condition
+        // matches the ISO string the stored Timestamp encodes to
+        const actual = encodeValue(getFieldValue(snapshot.data(), condition.field));
+        const expected = encodeValue(decodeValue(condition.value));
+        switch (condition.op || '==') {
+            case '==': return JSON.stringify(actual) === JSON.stringify(expected);
+            case '!=': return JSON.stringify(actual) !== JSON.stringify(expected);
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case 'in': return Array.isArray(expected) && expected.includes(actual);
+            case 'not-in': return Array.isArray(expected) && !expected.includes(actual);
+            case 'array-contains': return Array.isArray(actual) && actual.includes(expected);
+            default: throw new Error(`Unsupported condition operator: ${condition.op}`);
+        }
+    }
+
+    function describeCondition(condition) {
+        if (condition.exists !== undefined && condition.exists !== null) {
+            return `${condition.path} ${condition.exists ? 'exists' : 'does not exist'}`;
+        }
+        return `${condition.path} ${condition.field} ${condition.op || '=='} ${JSON.stringify(condition.value)}`;
+    }
+
+    function validateWrite(write, { allowIncrement = true } = {}) {
+        if (!WRITE_OPERATIONS.includes(write.op)) throw invalidArgument(`Unsupported write operation: ${write.op}`);
+        if (!write.path) throw invalidArgument(`Write is missing a document path`);
+        if (write.increment && !allowIncrement) {
+            throw invalidArgument(`increment on ${write.path} is only supported in transactions`);
+        }
+        if (write.op !== 'delete' && !write.data && !write.increment) {
+            throw invalidArgument(`${write.op} on ${write.path} has no data`);
+        }
+    }
+
+    // Applies one write to a transaction or batch. snapshots maps paths to
+    // documents read in the transaction (needed for increments).
+    function applyWrite(target, write, snapshots = null) {
+        const docRef = db.doc(write.path);
+        if (write.op === 'delete') {
+            target.delete(docRef);
+            return;
+        }
+
+        // Deletes are fine in updates and merges; a plain set rejects them
+        const allowDelete = write.op === 'update' || !!write.merge;
+        const data = decodeValue({ ...(write.data || {}) }, { allowDelete });
+        if (write.increment) {
+            if (!snapshots) throw new Error(`increment on ${write.path} is only supported in transactions`);
+            const current = snapshots.get(write.path);
+            const currentData = current && current.exists ? current.data() : {};
+            for (const [field, delta] of Object.entries(write.increment)) {
+                const value = getFieldValue(currentData, field);
+                const incremented = (typeof value === 'number' ? value : 0) + Number(delta);
+                if (write.op === 'set') {
+                    setFieldValue(data, field, incremented);
+                } else {
+                    data[field] = incremented;
+                }
+            }
+        }
+
+        if (write.op === 'set') {
+            target.set(docRef, data, { merge: !!write.merge });
+        } else {
+            target.update(docRef, data);
+        }
+    }
+
+    async function runTransaction(jsonTransaction) {
+        try {
+            if (!isInitialized || !db) {
+                console.log("⚠️ Firestore not initialized, initializing now...");
+                await initializeFirestore();
+            }
+
+            const spec = JSON.parse(jsonTransaction);
+            const reads = spec.reads || [];
+            const conditions = spec.conditions || [];
+            const writes = spec.writes || [];
+            writes.forEach(validateWrite);
+
+            const paths = [...new Set([
+                ...reads,
+                ...conditions.map(condition => condition.path),
+                ...writes.filter(write => write.increment).map(write => write.path)
+            ])];
+
+            console.log(`🔒 Running transaction: ${paths.length} reads, ${writes.length} writes`);
+
+            const readResults = await db.runTransaction(async (transaction) => {
+                // Firestore retries this function on contention, so it must
+                // not have side effects outside the transaction
+                const snapshots = new Map();
+                const docs = await Promise.all(paths.map(path => transaction.get(db.doc(path))));
+                docs.forEach((doc, index) => snapshots.set(paths[index], doc));
+
+                for (const condition of conditions) {
+                    if (!conditionHolds(condition, snapshots.get(condition.path))) {
+                        throw new TransactionConditionError(`Condition failed: ${describeCondition(condition)}`);
+                    }
+                }
+
+                writes.forEach(write => applyWrite(transaction, write, snapshots));
+
+                const results = {};
+                reads.forEach(path => {
+                    const doc = snapshots.get(path);
+                    results[path] = doc.exists ? docToData(doc) : null;
+                });
+                return results;
+            });
+
+            console.log(`✓ Transaction committed (${writes.length} writes)`);
+            return JSON.stringify({ success: true, reads: readResults, error: null });
+        } catch (error) {
+            if (error instanceof TransactionConditionError) {
+                console.warn(`⚠️ Transaction aborted: ${error.message}`);
+            } else {
+                console.error("❌ Error running transaction:", error);
+            }
+            return JSON.stringify({ success: false, reads: {}, error: error.message });
+        }
+    }
+
+    async function writeBatch(jsonWrites) {
+        const progress = { committed: 0, total: 0 };
+        let writes = [];
+        try {
+            if (!isInitialized || !db) {
+                console.log("⚠️ Firestore not initialized, initializing now...");
+                await initializeFirestore();
+            }
+
+            writes = JSON.parse(jsonWrites);
+            await commitWrites(writes, progress);
+
+            console.log(`✓ Batch committed ${progress.committed} writes`);
+            return JSON.stringify({ success: true, committed: progress.committed, total: progress.total, error: null });
+        } catch (error) {
+            console.error(`❌ Error committing batch (${progress.committed}/${progress.total} writes committed):`, error);
+            // Earlier chunks are already committed; only the rest is queued.
+            // Invalid batches (total still 0) would only fail again on replay.
+            if (progress.total > 0) {
+                await queueOfflineOperation('writeBatch', [JSON.stringify(writes.slice(progress.committed))], error);
+            }
+            return JSON.stringify({ success: false, committed: progress.committed, total: progress.total, error: error.message });
+        }
+    }
+
+    // Each chunk is atomic on its own; a failure leaves earlier chunks committed
+    async function commitWrites(writes, progress = { committed: 0, total: 0 }) {
+        writes.forEach(write => validateWrite(write, { allowIncrement: false }));
+        progress.total = writes.length;
+
+        for (let start = 0; start < writes.length; start += BATCH_WRITE_LIMIT) {
+            const chunk = writes.slice(start, start + BATCH_WRITE_LIMIT);
+            const batch = db.batch();
+            chunk.forEach(write => applyWrite(batch, write));
+            await batch.commit();
+            progress.committed += chunk.length;
+        }
+        return progress.committed;
+    }
+
+    //#endregion
+
+    //#region ==================== REAL-TIME LISTENERS ====================
+
+    // Listeners push every snapshot to a DotNetObjectReference as JSON:
+    // {
+    //   "subscriptionId": "sub_1",
+    //   "changes": [{ "type": "added" | "modified" | "removed", "id", "path", "data" }],
+    //   "fromCache": false, "hasPendingWrites": false, "error": null
+    // }
+    // The first snapshot reports every matching document as "added". Pass the
+    // returned subscription ID to unsubscribe() when the component goes away.
+    // A listener that fails is cancelled by Firestore; the callback receives
+    // the error and the subscription is dropped.
+
+    const DEFAULT_SNAPSHOT_CALLBACK = 'OnFirestoreSnapshot';
+    const subscriptions = new Map();
+    let subscriptionCounter = 0;
+
+    function notifyDotNet(dotNetRef, callbackMethod, payload) {
+        dotNetRef.invokeMethodAsync(callbackMethod, JSON.stringify(payload))
+            .catch(error => console.warn(`⚠️ Snapshot callback ${callbackMethod} failed:`, error.message));
+    }
+
+    function registerSubscription(label, dotNetRef, callbackMethod, listen) {
+        const subscriptionId = `sub_${++subscriptionCounter}`;
+        const method = callbackMethod || DEFAULT_SNAPSHOT_CALLBACK;
+
+        const emit = (changes, metadata) => notifyDotNet(dotNetRef, method, {
+            subscriptionId,
+            changes,
+            fromCache: metadata.fromCache,
+            hasPendingWrites: metadata.hasPendingWrites,
+            error: null
+        });
+
+        const onError = (error) => {
+            console.error(`❌ Listener ${subscriptionId} on ${label} stopped:`, error);
+            subscriptions.delete(subscriptionId);
+            notifyDotNet(dotNetRef, method, {
+                subscriptionId,
+                changes: [],
+                fromCache: false,
+                hasPendingWrites: false,
+                error: error.message
+            });
+        };
+
+        const unsubscribe = listen(emit, onError);
+        subscriptions.set(subscriptionId, { label, unsubscribe });
+        console.log(`👂 Listening to ${label} (${subscriptionId})`);
+        return subscriptionId;
+    }
+
+    function listenToQuery(query) {
+        return (emit, onError) => query.onSnapshot(snapshot => {
+            const changes = snapshot.docChanges().map(change => ({
+                type: change.type,
+                id: change.doc.id,
+                path: change.doc.ref.path,
+                data: change.type === 'removed' ? null : docToData(change.doc)
+            }));
+            emit(changes, snapshot.metadata);
+        }, onError);
+    }
+
+    async function buildListenerQuery(ref, jsonQuery) {
+        if (!jsonQuery) return ref;
+
+        const spec = JSON.parse(jsonQuery);
+        let query = await buildQuery(ref, spec);
+        const limit = parseInt(spec.limit);
+        if (limit > 0) query = query.limit(Math.min(limit, MAX_QUERY_LIMIT));
+        return query;
+    }
+
+    async function subscribeDocument(collection, id, dotNetRef, callbackMethod = null) {
+        try {
+            if (!isInitialized || !db) {
+                console.log("⚠️ Firestore not initialized, initializing now...");
+                await initializeFirestore();
+            }
+
+            const docRef = db.collection(collection).doc(id);
+            return registerSubscription(`${collection}/${id}`, dotNetRef, callbackMethod, (emit, onError) => {
+                let existed = false;
+                return docRef.onSnapshot(doc => {
+                    let type = null;
+                    if (doc.exists) {
+                        type = existed ? 'modified' : 'added';
+                    } else if (existed) {
+                        type = 'removed';
+                    }
+                    existed = doc.exists;
+
+                    const changes = type
+                        ? [{ type, id: doc.id, path: doc.ref.path, data: doc.exists ? docToData(doc) : null }]
+                        : [];
+                    emit(changes, doc.metadata);
+                }, onError);
+            });
+        } catch (error) {
+            console.error(`❌ Error subscribing to ${collection}/${id}:`, error);
+            return null;
+        }
+    }
+
+    async function subscribeCollection(collection, jsonQuery, dotNetRef, callbackMethod = null) {
+        try {
+            if (!isInitialized || !db) {
+                console.log("⚠️ Firestore not initialized, initializing now...");
+                await initializeFirestore();
+            }
+
+            const query = await buildListenerQuery(db.collection(collection), jsonQuery);
+            return registerSubscription(collection, dotNetRef, callbackMethod, listenToQuery(query));
+        } catch (error) {
+            console.error(`❌ Error subscribing to collection ${collection}:`, error);
+            return null;
+        }
+    }
+
+    async function subscribeSubcollection(collection, docId, subcollection, jsonQuery, dotNetRef, callbackMethod = null) {
+        const label = `${collection}/${docId}/${subcollection}`;
+        try {
+            if (!isInitialized || !db) {
+                console.log("⚠️ Firestore not initialized, initializing now...");
+                await initializeFirestore();
+            }
+
+            const ref = db.collection(collection).doc(docId).collection(subcollection);
+            const query = await buildListenerQuery(ref, jsonQuery);
+            return registerSubscription(label, dotNetRef, callbackMethod, listenToQuery(query));
+        } catch (error) {
+            console.error(`❌ Error subscribing to subcollection ${label}:`, error);
+            return null;
+        }
+    }
+
+    function unsubscribe(subscriptionId) {
+        const subscription = subscriptions.get(subscriptionId);
+        if (!subscription) return false;
+
+        subscription.unsubscribe();
+        subscriptions.delete(subscriptionId);
+        console.log(`🔇 Stopped listening to ${subscription.label} (${subscriptionId})`);
+        return true;
+    }
+
+    function unsubscribeAll() {
+        const count = subscriptions.size;
+        subscriptions.forEach(subscription => subscription.unsubscribe());
+        subscriptions.clear();
+        if (count > 0) console.log(`🔇 Stopped ${count} listeners`);
+        return count;
+    }
+
+    //#endregion
+
+    //#region ==================== UTILITY FUNCTIONS ====================
+
+    function docToData(doc) {
+        const item = encodeValue(doc.data());
+        if (item && typeof item === 'object') {
+            item.id = doc.id;
+        }
+        return item;
+    }
+
+    function removeUndefinedConservative(obj) {
+        if (obj === null || typeof obj !== 'object') return obj;
+
+        if (Array.isArray(obj)) {
+            return obj.map(removeUndefinedConservative);
+        }
+
+        const cleaned = {};
+        for (const [key, value] of Object.entries(obj)) {
+            if (value !== undefined) {
+                if (typeof value === 'object' && value !== null) {
+                    const cleanedValue = removeUndefinedConservative(value);
+                    if (Array.isArray(cleanedValue) || Object.keys(cleanedValue).length > 0) {
+                        cleaned[key] = cleanedValue;
+                    }
+                } else {
+                    cleaned[key] = value;
+                }
+            }
+        }
+        return cleaned;
+    }
+
+    // Payloads arrive as JSON, so FieldValues are written as sentinel objects
+    // and converted here, after the payload has been cleaned:
+    //   { "$increment": 5 }          → FieldValue.increment(5)
+    //   { "$serverTimestamp": true } → FieldValue.serverTimestamp()
+    //   { "$delete": true }          → FieldValue.delete() (updates only)
+    // Queued offline writes keep the sentinels, so "$serverTimestamp" records
+    // when the write reached the server, not when it was made.
+    const SENTINELS = {
+        $increment: (amount) => {
+            if (typeof amount !== 'number' || !isFinite(amount)) {
+                throw invalidArgument(`$increment needs a number, got ${JSON.stringify(amount)}`);
+            }
+            return firebase.firestore.FieldValue.increment(amount);
+        },
+        $serverTimestamp: () => firebase.firestore.FieldValue.serverTimestamp(),
+        $delete: (value, { path, allowDelete }) => {
+            if (!allowDelete) throw invalidArgument(`$delete at "${path}" is only valid in updates`);
+            return firebase.firestore.FieldValue.delete();
+        }
+    };
+
+    // Timestamp, GeoPoint and DocumentReference values don't survive
+    // JSON.stringify in a usable shape, so reads encode them as:
+    //   Timestamp         → "2025-01-02T03:04:05.678Z"
+    //   GeoPoint          → { "lat": 6.45, "lng": 3.39 }
+    //   DocumentReference → { "path": "products/p1", "id": "p1" }
+    // Writes, query filters and transaction conditions tag them, since a
+    // plain ISO string or { lat, lng } map must stay what it is:
+    //   { "$timestamp": "2025-01-02T03:04:05.678Z" }
+    //   { "$geopoint": { "lat": 6.45, "lng": 3.39 } }
+    //   { "$ref": "products/p1" }
+    const TYPED_VALUES = {
+        $timestamp: (iso, { path, types }) => {
+            const date = new Date(iso);
+            if (typeof iso !== 'string' || isNaN(date.getTime())) {
+                throw invalidArgument(`$timestamp at "${path}" needs an ISO-8601 string, got ${JSON.stringify(iso)}`);
+            }
+            return types.timestamp(date);
+        },
+        $geopoint: (point, { path, types }) => {
+            if (!point || typeof point.lat !== 'number' || typeof point.lng !== 'number') {
+                throw invalidArgument(`$geopoint at "${path}" needs numeric lat and lng`);
+            }
+            return types.geopoint(point.lat, point.lng);
+        },
+        $ref: (refPath, { path, types }) => {
+            if (typeof refPath !== 'string' || !refPath || refPath.split('/').length % 2 !== 0) {
+                throw invalidArgument(`$ref at "${path}" needs a document path, got ${JSON.stringify(refPath)}`);
+            }
+            return types.reference(refPath);
+        }
+    };
+
+    // Typed values for the compat SDK; aggregations pass the modular equivalents
+    const COMPAT_TYPES = {
+        timestamp: (date) => firebase.firestore.Timestamp.fromDate(date),
+        geopoint: (lat, lng) => new firebase.firestore.GeoPoint(lat, lng),
+        reference: (path) => db.doc(path)
+    };
+
+    function invalidArgument(message) {
+        const error = new Error(message);
+        error.code = 'invalid-argument';
+        return error;
+    }
+
+    function findTag(value) {
+        const keys = Object.keys(value);
+        if (keys.length !== 1) return null;
+        if (Object.prototype.hasOwnProperty.call(SENTINELS, keys[0])) return SENTINELS[keys[0]];
+        if (Object.prototype.hasOwnProperty.call(TYPED_VALUES, keys[0])) return TYPED_VALUES[keys[0]];
+        return null;
+    }
+
+    function decodeValue(value, { allowDelete = false, types = COMPAT_TYPES } = {}, path = '') {
+        if (value === null || typeof value !== 'object') return value;
+
+        if (Array.isArray(value)) {
+            return value.map((item, index) => decodeValue(item, { allowDelete, types }, `${path}[${index}]`));
+        }
+
+        const decode = findTag(value);
+        if (decode) {
+            return decode(Object.values(value)[0], { path, allowDelete, types });
+        }
+
+        const decoded = {};
+        for (const [key, fieldValue] of Object.entries(value)) {
+            decoded[key] = decodeValue(fieldValue, { allowDelete, types }, path ? `${path}.${key}` : key);
+        }
+        return decoded;
+    }
+
+    function encodeValue(value) {
+        if (value === null || typeof value !== 'object') return value;
+
+        if (value instanceof firebase.firestore.Timestamp) return value.toDate().toISOString();
+        if (value instanceof firebase.firestore.GeoPoint) return { lat: value.latitude, lng: value.longitude };
+        if (value instanceof firebase.firestore.DocumentReference) return { path: value.path, id: value.id };
+        if (Array.isArray(value)) return value.map(encodeValue);
+
+        const encoded = {};
+        for (const [key, fieldValue] of Object.entries(value)) {
+            encoded[key] = encodeValue(fieldValue);
+        }
+        return encoded;
+    }
+
+    //#endregion
+
+    //#region ==================== WRITE EXECUTORS ====================
+
+    // The Firestore calls behind every mutating API. They throw on failure:
+    // the public functions above catch, log and queue the operation, and the
+    // offline queue replays it by calling the executor with the same args.
+
+    async function ensureDb() {
+        if (isInitialized && db) return;
+        console.log("⚠️ Firestore not initialized, initializing now...");
+        const initialized = await initializeFirestore();
+        if (!initialized) throw new Error('Firestore not initialized');
+    }
+
+    const writeExecutors = {
+        async addDocument(collection, jsonData, customId = null) {
+            await ensureDb();
+            let data = JSON.parse(jsonData);
+            data = decodeValue(JSON.parse(JSON.stringify(data)));
+
+            if (customId) {
+                await db.collection(collection).doc(customId).set(data);
+                return customId;
+            }
+            const docRef = await db.collection(collection).add(data);
+            return docRef.id;
+        },
+
+        async updateDocument(collection, id, jsonData) {
+            await ensureDb();
+            let data = JSON.parse(jsonData);
+            data = decodeValue(removeUndefinedConservative(data), { allowDelete: true });
+            await db.collection(collection).doc(id).update(data);
+            return true;
+        },
+
+        async deleteDocument(collection, id) {
+            await ensureDb();
+            await db.collection(collection).doc(id).delete();
+            return true;
+        },
+
+        async addToSubcollection(collection, docId, subcollection, jsonData, customId = null) {
+            await ensureDb();
+            let data = JSON.parse(jsonData);
+            data = decodeValue(JSON.parse(JSON.stringify(data)));
+
+            const subcollectionRef = db.collection(collection).doc(docId).collection(subcollection);
+            if (customId) {
+                await subcollectionRef.doc(customId).set(data);
+                return customId;
+            }
+            const docRef = await subcollectionRef.add(data);
+            return docRef.id;
+        },
+
+        async updateSubcollectionDocument(collection, docId, subcollection, subdocId, jsonData) {
+            await ensureDb();
+            let data = JSON.parse(jsonData);
+            data = decodeValue(removeUndefinedConservative(data), { allowDelete: true });
+            await db.collection(collection).doc(docId).collection(subcollection).doc(subdocId).update(data);
+            return true;
+        },
+
+        async deleteSubcollectionDocument(collection, docId, subcollection, subdocId) {
+            await ensureDb();
+            await db.collection(collection).doc(docId).collection(subcollection).doc(subdocId).delete();
+            return true;
+        },
+
+        async addOrUpdateField(collection, docId, fieldName, jsonValue) {
+            await ensureDb();
+            const updateData = {};
+            updateData[fieldName] = decodeValue(JSON.parse(jsonValue), { allowDelete: true }, fieldName);
+            await db.collection(collection).doc(docId).update(updateData);
+            return true;
+        },
+
+        async updateFields(collection, docId, jsonFields) {
+            await ensureDb();
+            let fields = JSON.parse(jsonFields);
+            fields = decodeValue(removeUndefinedConservative(fields), { allowDelete: true });
+            await db.collection(collection).doc(docId).update(fields);
+            return true;
+        },
+
+        async removeField(collection, docId, fieldName) {
+            await ensureDb();
+            const updateData = {};
+            updateData[fieldName] = firebase.firestore.FieldValue.delete();
+            await db.collection(collection).doc(docId).update(updateData);
+            return true;
+        },
+
+        async removeFields(collection, docId, fieldNames) {
+            await ensureDb();
+            const updateData = {};
+            JSON.parse(fieldNames).forEach(fieldName => {
+                updateData[fieldName] = firebase.firestore.FieldValue.delete();
+            });
+            await db.collection(collection).doc(docId).update(updateData);
+            return true;
+        },
+
+        async addToArrayField(collection, docId, fieldName, jsonValue) {
+            await ensureDb();
+            const updateData = {};
+            updateData[fieldName] = firebase.firestore.FieldValue.arrayUnion(decodeValue(JSON.parse(jsonValue), {}, fieldName));
+            await db.collection(collection).doc(docId).update(updateData);
+            return true;
+        },
+
+        async removeFromArrayField(collection, docId, fieldName, jsonValue) {
+            await ensureDb();
+            const updateData = {};
+            updateData[fieldName] = firebase.firestore.FieldValue.arrayRemove(decodeValue(JSON.parse(jsonValue), {}, fieldName));
+            await db.collection(collection).doc(docId).update(updateData);
+            return true;
+        },
+
+        async addBatch(collection, jsonItems) {
+            await ensureDb();
+            let items = JSON.parse(jsonItems);
+            items = JSON.parse(JSON.stringify(items));
+
+            const batch = db.batch();
+            items.forEach((item) => {
+                const docId = item.id || db.collection(collection).doc().id;
+                const itemCopy = { ...item };
+                delete itemCopy.id;
+                batch.set(db.collection(collection).doc(docId), decodeValue(itemCopy));
+            });
+
+            await batch.commit();
+            return items.length;
+        },
+
+        async writeBatch(jsonWrites) {
+            await ensureDb();
+            return commitWrites(JSON.parse(jsonWrites));
+        }
+    };
+
+    //#endregion
+
+    //#region ==================== OFFLINE SUPPORT ====================
+
+    // Failed writes made while offline are queued in IndexedDB (localStorage
+    // when IndexedDB is unavailable) and replayed in order once the
+    // connection is back. Each queued operation records:
+    //   { id, operation, args, target, createdAt, attempts, nextAttemptAt,
+    //     status: 'pending' | 'failed' | 'conflict', lastError }
+    //
+    // - Retries back off exponentially; after OFFLINE_MAX_ATTEMPTS, or on an
+    //   error retrying can't fix (permission-denied, not-found, ...), the
+    //   operation is marked 'failed' and left for the app to retry or discard.
+    // - While an operation on a document is waiting to retry, later
+    //   operations on the same document wait too, so they apply in order.
+    // - Conflict policy 'last-write-wins' (default) replays regardless.
+    //   'server-wins' skips the replay when the server copy's updated_at is
+    //   newer than the moment the offline write was made, marking it
+    //   'conflict'. Only single-document writes are checked.
+    // - Adds without an ID get one when queued, so a retried add can never
+    //   create a duplicate.
+
+    const OFFLINE_DB_NAME = 'firestore_offline_queue';
+    const OFFLINE_STORE_NAME = 'operations';
+    const OFFLINE_FALLBACK_KEY = 'firestore_offline_queue';
+    const LEGACY_STORAGE_KEY = 'firestore_offline_operations';
+    const OFFLINE_MAX_ATTEMPTS = 5;
+    const OFFLINE_BASE_DELAY_MS = 2000;
+    const OFFLINE_MAX_DELAY_MS = 5 * 60 * 1000;
+    const CONFLICT_POLICIES = ['last-write-wins', 'server-wins'];
+    const UPDATED_AT_FIELDS = ['updated_at', 'updatedAt'];
+    const PERMANENT_ERROR_CODES = [
+        'permission-denied', 'invalid-argument', 'not-found', 'already-exists',
+        'failed-precondition', 'out-of-range', 'unimplemented'
+    ];
+
+    // Document each operation writes to, for ordering and conflict checks
+    const OFFLINE_TARGETS = {
+        addDocument: (collection, jsonData, customId) => customId ? `${collection}/${customId}` : null,
+        updateDocument: (collection, id) => `${collection}/${id}`,
+        deleteDocument: (collection, id) => `${collection}/${id}`,
+        addToSubcollection: (collection, docId, subcollection, jsonData, customId) =>
+            customId ? `${collection}/${docId}/${subcollection}/${customId}` : null,
+        updateSubcollectionDocument: (collection, docId, subcollection, subdocId) =>
+            `${collection}/${docId}/${subcollection}/${subdocId}`,
+        deleteSubcollectionDocument: (collection, docId, subcollection, subdocId) =>
+            `${collection}/${docId}/${subcollection}/${subdocId}`,
+        addOrUpdateField: (collection, docId) => `${collection}/${docId}`,
+        updateFields: (collection, docId) => `${collection}/${docId}`,
+        removeField: (collection, docId) => `${collection}/${docId}`,
+        removeFields: (collection, docId) => `${collection}/${docId}`,
+        addToArrayField: (collection, docId) => `${collection}/${docId}`,
+        removeFromArrayField: (collection, docId) => `${collection}/${docId}`
+    };
+
+    let conflictPolicy = 'last-write-wins';
+    let offlineDbPromise = null;
+    let useFallbackQueue = false;
+    let processingPromise = null;
+    let retryTimer = null;
+    let lastQueuedAt = 0;
+
+    // ---- Queue storage ----
+
+    function openOfflineDb() {
+        if (!offlineDbPromise) {
+            offlineDbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(OFFLINE_STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(async (idb) => {
+                await migrateLegacyQueue(idb);
+                return idb;
+            }).catch((error) => {
+                console.warn('⚠️ Offline queue falling back to localStorage:', error.message);
+                useFallbackQueue = true;
+                throw error;
+            });
+        }
+        return offlineDbPromise;
+    }
+
+    async function withOfflineStore(mode, action) {
+        const idb = await openOfflineDb();
+        return new Promise((resolve, reject) => {
+            const transaction = idb.transaction(OFFLINE_STORE_NAME, mode);
+            const request = action(transaction.objectStore(OFFLINE_STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function readFallbackQueue() {
+        return JSON.parse(localStorage.getItem(OFFLINE_FALLBACK_KEY) || '[]');
+    }
+
+    function writeFallbackQueue(queue) {
+        localStorage.setItem(OFFLINE_FALLBACK_KEY, JSON.stringify(queue));
+    }
+
+    async function readOfflineQueue() {
+        if (!useFallbackQueue) {
+            try {
+                return await withOfflineStore('readonly', store => store.getAll());
+            } catch (error) {
+                if (!useFallbackQueue) throw error;
+            }
+        }
+        return readFallbackQueue();
+    }
+
+    async function saveOfflineRecord(record) {
+        if (!useFallbackQueue) {
+            try {
+                await withOfflineStore('readwrite', store => store.put(record));
+                return;
+            } catch (error) {
+                if (!useFallbackQueue) throw error;
+            }
+        }
+        writeFallbackQueue([...readFallbackQueue().filter(op => op.id !== record.id), record]);
+    }
+
+    async function deleteOfflineRecord(id) {
+        if (!useFallbackQueue) {
+            try {
+                await withOfflineStore('readwrite', store => store.delete(id));
+                return;
+            } catch (error) {
+                if (!useFallbackQueue) throw error;
+            }
+        }
+        writeFallbackQueue(readFallbackQueue().filter(op => op.id !== id));
+    }
+
+    // Moves operations queued by the old localStorage format into IndexedDB
+    function migrateLegacyQueue(idb) {
+        const legacyOps = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '[]');
+        if (legacyOps.length === 0) return Promise.resolve();
+
+        const legacyArgs = {
+            add: op => ['addDocument', [op.collection, op.data, op.customId || null]],
+            update: op => ['updateDocument', [op.collection, op.id, op.data]],
+            delete: op => ['deleteDocument', [op.collection, op.id]],
+            batch: op => ['addBatch', [op.collection, op.data]],
+            addToSubcollection: op => ['addToSubcollection', [op.collection, op.docId, op.subcollection, op.data, op.customId || null]],
+            deleteSubcollectionDocument: op => ['deleteSubcollectionDocument', [op.collection, op.docId, op.subcollection, op.subdocId]]
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = idb.transaction(OFFLINE_STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(OFFLINE_STORE_NAME);
+            legacyOps.forEach(op => {
+                if (!legacyArgs[op.operation]) return;
+                const [operation, args] = legacyArgs[op.operation](op);
+                store.put({ ...createOfflineRecord(operation, withStableIds(operation, args)), createdAt: op.timestamp || Date.now() });
+            });
+            transaction.oncomplete = () => {
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+                console.log(`💾 Migrated ${legacyOps.length} queued operations to IndexedDB`);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // ---- Queueing ----
+
+    function generateId(length = 20) {
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        const bytes = crypto.getRandomValues(new Uint8Array(length));
+        return Array.from(bytes, byte => chars[byte % chars.length]).join('');
+    }
+
+    function withStableIds(operation, args) {
+        const stable = [...args];
+        if (operation === 'addDocument' && !stable[2]) stable[2] = generateId();
+        if (operation === 'addToSubcollection' && !stable[4]) stable[4] = generateId();
+        if (operation === 'addBatch') {
+            try {
+                const items = JSON.parse(stable[1]).map(item => item.id ? item : { ...item, id: generateId() });
+                stable[1] = JSON.stringify(items);
+            } catch {
+                // Leave malformed payloads alone — replay will mark them failed
+            }
+        }
+        return stable;
+    }
+
+    function createOfflineRecord(operation, args) {
+        const target = OFFLINE_TARGETS[operation];
+        // Strictly increasing, so operations queued in the same millisecond keep their order
+        lastQueuedAt = Math.max(Date.now(), lastQueuedAt + 1);
+        return {
+            id: crypto.randomUUID ? crypto.randomUUID() : `op_${Date.now()}_${generateId(8)}`,
+            operation,
+            args,
+            target: target ? target(...args) : null,
+            createdAt: lastQueuedAt,
+            attempts: 0,
+            nextAttemptAt: 0,
+            status: 'pending',
+            lastError: null,
+            skipConflictCheck: false
+        };
+    }
+
+    function isPermanentError(error) {
+        return error instanceof SyntaxError || PERMANENT_ERROR_CODES.includes(error?.code);
+    }
+
+    function shouldQueue(error) {
+        if (isPermanentError(error)) return false;
+        return isOffline || manuallyDisconnected || !navigator.onLine || error?.code === 'unavailable';
+    }
+
+    // Returns the queued record, or null if the operation wasn't queued
+    async function queueOfflineOperation(operation, args, error) {
+        if (!shouldQueue(error)) return null;
+
+        try {
+            const record = createOfflineRecord(operation, withStableIds(operation, args));
+            await saveOfflineRecord(record);
+            console.log(`💾 Operation queued for offline replay: ${operation}${record.target ? ` on ${record.target}` : ''}`);
+            return record;
+        } catch (storeError) {
+            console.error('❌ Error storing offline operation:', storeError);
+            return null;
+        }
+    }
+
+    // ---- Replay ----
+
+    function toMillis(value) {
+        if (value == null) return null;
+        if (typeof value.toMillis === 'function') return value.toMillis();
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'number') return value;
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    async function getServerUpdatedAt(path) {
+        const doc = await db.doc(path).get({ source: 'server' });
+        if (!doc.exists) return null;
+
+        const data = doc.data();
+        for (const field of UPDATED_AT_FIELDS) {
+            const millis = toMillis(data[field]);
+            if (millis !== null) return millis;
+        }
+        return null;
+    }
+
+    function backoffDelay(attempts) {
+        const delay = Math.min(OFFLINE_BASE_DELAY_MS * 2 ** (attempts - 1), OFFLINE_MAX_DELAY_MS);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    // Returns 'applied' or 'conflict'; throws when the write fails
+    async function replayOperation(op) {
+        const executor = writeExecutors[op.operation];
+        if (!executor) {
+            const error = new Error(`Unknown offline operation: ${op.operation}`);
+            error.code = 'unimplemented';
+            throw error;
+        }
+
+        if (conflictPolicy === 'server-wins' && op.target && !op.skipConflictCheck) {
+            const serverUpdatedAt = await getServerUpdatedAt(op.target);
+            if (serverUpdatedAt !== null && serverUpdatedAt > op.createdAt) return 'conflict';
+        }
+
+        await executor(...op.args);
+        return 'applied';
+    }
+
+    function scheduleRetry(queue) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+
+        const now = Date.now();
+        const nextAttemptAt = queue
+            .filter(op => op.status === 'pending' && op.nextAttemptAt > now)
+            .reduce((earliest, op) => Math.min(earliest, op.nextAttemptAt), Infinity);
+        if (nextAttemptAt === Infinity) return;
+
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            processPendingOperations();
+        }, nextAttemptAt - now);
+    }
+
+    async function processPendingOperations() {
+        if (!navigator.onLine || !isInitialized || manuallyDisconnected) return;
+        if (processingPromise) return processingPromise;
+
+        processingPromise = replayOfflineQueue().finally(() => {
+            processingPromise = null;
+        });
+        return processingPromise;
+    }
+
+    async function replayOfflineQueue() {
+        try {
+            const now = Date.now();
+            const queue = (await readOfflineQueue()).sort((a, b) => a.createdAt - b.createdAt);
+            const pending = queue.filter(op => op.status === 'pending');
+
+            // Documents with an operation still backing off keep later writes waiting
+            const blockedTargets = new Set(
+                pending.filter(op => op.nextAttemptAt > now && op.target).map(op => op.target)
+            );
+            const due = pending.filter(op => op.nextAttemptAt <= now);
+            if (due.length === 0) {
+                scheduleRetry(queue);
+                return;
+            }
+
+            console.log(`⚙️ Processing ${due.length} pending operations`);
+            let applied = 0;
+
+            for (const op of due) {
+                if (op.target && blockedTargets.has(op.target)) continue;
+
+                try {
+                    const result = await replayOperation(op);
+                    if (result === 'conflict') {
+                        op.status = 'conflict';
+                        op.lastError = `Server copy of ${op.target} changed after this write was made`;
+                        await saveOfflineRecord(op);
+                        console.warn(`⚠️ Skipped ${op.operation} on ${op.target}: server version is newer`);
+                    } else {
+                        await deleteOfflineRecord(op.id);
+                        applied++;
+                    }
+                } catch (error) {
+                    op.attempts++;
+                    op.lastError = error.message;
+                    if (isPermanentError(error) || op.attempts >= OFFLINE_MAX_ATTEMPTS) {
+                        op.status = 'failed';
+                        console.error(`❌ Offline ${op.operation} failed permanently after ${op.attempts} attempts:`, error);
+                    } else {
+                        op.nextAttemptAt = Date.now() + backoffDelay(op.attempts);
+                        if (op.target) blockedTargets.add(op.target);
+                        console.warn(`⚠️ Offline ${op.operation} failed (attempt ${op.attempts}), retrying later:`, error.message);
+                    }
+                    await saveOfflineRecord(op);
+                }
+            }
+
+            const remaining = await readOfflineQueue();
+            console.log(`✓ Processed ${applied} operations, ${remaining.length} remaining`);
+            scheduleRetry(remaining);
+        } catch (error) {
+            console.error('❌ Error processing pending operations:', error);
+        }
+    }
+
+    // ---- Queue management (Blazor) ----
+
+    async function getOfflineOperations() {
+        try {
+            const queue = (await readOfflineQueue()).sort((a, b) => a.createdAt - b.createdAt);
+            return JSON.stringify(queue.map(op => ({
+                id: op.id,
+                operation: op.operation,
+                target: op.target,
+                args: op.args,
+                status: op.status,
+                attempts: op.attempts,
+                lastError: op.lastError,
+                createdAt: new Date(op.createdAt).toISOString(),
+                nextAttemptAt: op.status === 'pending' && op.nextAttemptAt
+                    ? new Date(op.nextAttemptAt).toISOString()
+                    : null
+            })));
+        } catch (error) {
+            console.error('❌ Error reading offline operations:', error);
+            return JSON.stringify([]);
+        }
+    }
+
+    async function discardOfflineOperation(id) {
+        try {
+            await deleteOfflineRecord(id);
+            console.log(`🗑️ Discarded offline operation ${id}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Error discarding offline operation ${id}:`, error);
+            return false;
+        }
+    }
+
+    // Puts a failed or conflicting operation back in the queue. A retried
+    // conflict is applied over the server copy.
+    async function retryOfflineOperation(id) {
+        try {
+            const op = (await readOfflineQueue()).find(record => record.id === id);
+            if (!op) return false;
+
+            op.skipConflictCheck = op.skipConflictCheck || op.status === 'conflict';
+            op.status = 'pending';
+            op.attempts = 0;
+            op.nextAttemptAt = 0;
+            op.lastError = null;
+            await saveOfflineRecord(op);
+
+            processPendingOperations();
+            return true;
+        } catch (error) {
+            console.error(`❌ Error retrying offline operation ${id}:`, error);
+            return false;
+        }
+    }
+
+    function setOfflineConflictPolicy(policy) {
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            console.error(`❌ Unknown conflict policy: ${policy}`);
+            return false;
+        }
+        conflictPolicy = policy;
+        console.log(`⚙️ Offline conflict policy: ${policy}`);
+        return true;
+    }
+
+    async function isConnected() {
+        try {
+            if (manuallyDisconnected) return false;
+
+            if (!isInitialized) {
+                const initResult = await initializeFirestore();
+                if (!initResult) return false;
+            }
+
+            return new Promise((resolve) => {
+                const connectedRef = firebase.database().ref(".info/connected");
+                connectedRef.once("value", (snap) => {
+                    const connected = snap.val() === true;
+                    isOffline = !connected;
+                    resolve(connected);
+                });
+            });
+        } catch (error) {
+            console.error("❌ Error checking connection:", error);
+            return false;
+        }
+    }
+
+    function getManualConnectionState() {
+        return !manuallyDisconnected;
+    }
+
+    window.addEventListener('online', () => {
+        if (!manuallyDisconnected) {
+            console.log('🌐 Back online, processing pending operations');
+            processPendingOperations();
+        }
+    });
+
+    //#endregion
+
+    // Public API
+    return {
+        // Initialization
+        initializeFirestore,
+        setConnectionState,
+        getManualConnectionState,
+        isConnected,
+        processPendingOperations,
+
+        // Offline queue
+        getOfflineOperations,
+        discardOfflineOperation,
+        retryOfflineOperation,
+        setOfflineConflictPolicy,
 
         // Document operations
         getDocument,
@@ -844,6 +1932,27 @@ window.firestoreModule = (function () {
         // Collection operations
         getCollection,
         queryCollection,
-        addBatch
+        addBatch,
+
+        // Query builder
+        queryCollectionPage,
+        querySubcollectionPage,
+        queryCollectionGroupPage,
+
+        // Aggregations
+        aggregateCollection,
+        aggregateSubcollection,
+        aggregateCollectionGroup,
+
+        // Transactions & batched writes
+        runTransaction,
+        writeBatch,
+
+        // Real-time listeners
+        subscribeDocument,
+        subscribeCollection,
+        subscribeSubcollection,
+        unsubscribe,
+        unsubscribeAll
     };
 })();
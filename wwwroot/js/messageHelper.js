@@ -12,21 +12,13 @@ window.messageHelper = (function () {
         if (!userId) return 0;
 
         try {
-            const db = firebase.firestore();
-            const snap = await db
-                .collection('messages')
-                .doc(userId)
-                .collection('conversations')
-                .where('unread_count', '>', 0)
-                .get();
-
-            let total = 0;
-            snap.forEach(doc => {
-                const data = doc.data();
-                total += (data.unread_count || 0);
-            });
-
-            return total;
+            return await sumUnreadOnServer(userId);
+        } catch (e) {
+            console.warn('[messageHelper] unread aggregation unavailable, querying conversations:', e.message);
+        }
+
+        try {
+            return await sumUnreadFromDocuments(userId);
         } catch (e) {
             // Firebase may not be ready on first load — silent fail is correct
             console.warn('[messageHelper] getUserUnreadCount:', e.message);
@@ -34,6 +26,38 @@ window.messageHelper = (function () {
         }
     }
 
+    async function sumUnreadOnServer(userId) {
+        const result = JSON.parse(await window.firestoreModule.aggregateSubcollection(
+            'messages',
+            userId,
+            'conversations',
+            null,
+            JSON.stringify({ unread: { op: 'sum', field: 'unread_count' } })
+        ));
+
+        if (!result.success) throw new Error(result.error);
+        return result.values.unread || 0;
+    }
+
+    // Works offline from the Firestore cache, which aggregations can't use
+    async function sumUnreadFromDocuments(userId) {
+        const db = firebase.firestore();
+        const snap = await db
+            .collection('messages')
+            .doc(userId)
+            .collection('conversations')
+            .where('unread_count', '>', 0)
+            .get();
+
+        let total = 0;
+        snap.forEach(doc => {
+            const data = doc.data();
+            total += (data.unread_count || 0);
+        });
+
+        return total;
+    }
+
     return { getUserUnreadCount };
 
 })();